@@ -2,6 +2,7 @@
 import mdx from '@astrojs/mdx';
 import sitemap from '@astrojs/sitemap';
 import { defineConfig } from 'astro/config';
+import remarkWikilinks from './src/plugins/remark-wikilinks.mjs';
 
 // https://astro.build/config
 export default defineConfig({
@@ -13,6 +14,8 @@ export default defineConfig({
 	compressHTML: false, // 是否压缩 HTML 源代码
 
 	markdown: {
+		// Obsidian 双链 [[note]] / 嵌入 ![[image.png]]，见 src/plugins/remark-wikilinks.mjs
+		remarkPlugins: [remarkWikilinks],
 		shikiConfig: {
 			themes: {
 				light: 'github-light',
@@ -1,156 +1,227 @@
 /**
  * 基于本地活动数据生成年度热力图 SVG
  * 不调用 Strava API，直接使用已同步的 activities.min.json
- * 包含所有运动类型（骑行、跑步等）
+ *
+ * 用法：
+ *   node scripts/generate-poster.mjs                       当前年份 -> public/strava-poster.svg
+ *   node scripts/generate-poster.mjs --year=2025 --out=poster-2025.svg
+ *   node scripts/generate-poster.mjs --from=2023 --to=2025 --out=posters/{year}.svg
+ *   node scripts/generate-poster.mjs --sport=running --metric=time --theme=dark
+ *   node scripts/generate-poster.mjs --archive             有数据的每一年 -> public/posters/<year>.svg + src/data/posters.json
+ *   node scripts/generate-poster.mjs --png=800,1600        同时输出 <name>-800.png、<name>-1600.png
+ *   node scripts/generate-poster.mjs --share-card          今年的 1200×630 分享卡片 -> public/strava-share.png（运动主页的 og:image）
+ *
+ * - --sport：运动分类 key（见 scripts/lib/sports.mjs），逗号分隔；默认所有分类
+ * - --metric：distance（km，默认）| time（h）| elevation（m）
+ * - --theme：light（默认）| dark | green
+ * - 颜色分级按当年非零日的分位数计算，不同指标、不同运动量都能拉开层次
+ * - PNG 由 sharp 栅格化，只在需要时加载
  */
 import fs from 'node:fs/promises';
 import path from 'node:path';
-
-const ROOT = process.cwd();
-const ACTIVITIES_PATH = path.join(ROOT, 'src/data/strava/activities.min.json');
-const OUTPUT_PATH = path.join(ROOT, 'public/strava-poster.svg');
-
-// 配置 - 极简布局
-const CONFIG = {
-  year: new Date().getFullYear(),
-  colors: {
+import { calendarDaysOfYear, localDayKey, localYearKey, todayKey } from './lib/dates.mjs';
+import { buildSportRegistry } from './lib/sports.mjs';
+import { ROOT, readActivities, readSyncConfig, writeJson } from './lib/strava-data.mjs';
+
+const DEFAULT_OUTPUT = 'public/strava-poster.svg';
+const ARCHIVE_DIR = 'public/posters';
+const ARCHIVE_INDEX_PATH = path.join(ROOT, 'src/data/posters.json');
+const DEFAULT_SHARE_CARD = 'public/strava-share.png';
+const SHARE_CARD = { width: 1200, height: 630, margin: 60 };
+
+const THEMES = {
+  light: {
     background: 'transparent',
     text: '#999999',
     empty: '#e0e0e0',
-    // 热力图颜色梯度 - Strava 橙色系
-    levels: [
-      { min: 0, max: 5, color: '#ffcdb2' },
-      { min: 5, max: 15, color: '#ffb088' },
-      { min: 15, max: 25, color: '#ff8c5a' },
-      { min: 25, max: 40, color: '#fc6a28' },
-      { min: 40, max: Infinity, color: '#e54d00' },
-    ],
+    // 分享卡片的底色与标题色（海报本身是透明背景）
+    card: '#ffffff',
+    heading: '#222222',
+    // Strava 橙色系，由浅到深
+    levels: ['#ffcdb2', '#ffb088', '#ff8c5a', '#fc6a28', '#e54d00'],
+  },
+  dark: {
+    background: '#161616',
+    text: '#777777',
+    empty: '#2a2a2a',
+    card: '#161616',
+    heading: '#eeeeee',
+    levels: ['#5a2a14', '#8c3a12', '#c24f12', '#fc6a28', '#ff9a5c'],
+  },
+  green: {
+    background: 'transparent',
+    text: '#999999',
+    empty: '#ebedf0',
+    card: '#ffffff',
+    heading: '#222222',
+    levels: ['#c6e48b', '#9be9a8', '#40c463', '#30a14e', '#216e39'],
   },
-  // SVG 尺寸 - 极简
+};
+
+// distance 只统计有距离的分类（力量训练等不进入距离热力图）
+const METRICS = {
+  distance: { unit: 'km', digits: 1, valueOf: (a) => (Number(a.distance_m) || 0) / 1000, needsDistance: true },
+  time: { unit: 'h', digits: 1, valueOf: (a) => (Number(a.moving_time_s) || 0) / 3600, needsDistance: false },
+  elevation: { unit: 'm', digits: 0, valueOf: (a) => Number(a.total_elevation_gain_m) || 0, needsDistance: false },
+};
+
+// SVG 尺寸 - 极简
+const LAYOUT = {
   cellSize: 2.0,
   cellGap: 0.5,
   padding: { top: 1, right: 1, bottom: 1, left: 1 },
   monthLabelHeight: 4,
 };
 
-function getColor(distanceKm) {
-  if (!distanceKm || distanceKm <= 0) return CONFIG.colors.empty;
-  for (const level of CONFIG.colors.levels) {
-    if (distanceKm >= level.min && distanceKm < level.max) {
-      return level.color;
-    }
+const USAGE =
+  'Usage: node scripts/generate-poster.mjs [--year=YYYY | --from=YYYY --to=YYYY] [--sport=running,cycling] ' +
+  '[--metric=distance|time|elevation] [--theme=light|dark|green] [--out=path/{year}.svg] [--archive] ' +
+  '[--png=800,1600] [--share-card[=path.png]]';
+
+function parseYear(value, name) {
+  const year = Number(value);
+  if (!/^\d{4}$/.test(value) || !Number.isInteger(year)) throw new Error(`${name}: expected a 4-digit year, got "${value}"\n${USAGE}`);
+  return year;
+}
+
+// currentYear：运动员所在时区（config.json 的 timeZone）的当前年份
+function parseArgs(argv, currentYear) {
+  const opts = {
+    from: null,
+    to: null,
+    sports: null,
+    metric: 'distance',
+    theme: 'light',
+    out: null,
+    archive: false,
+    pngWidths: [],
+    shareCard: null,
+  };
+  for (const arg of argv) {
+    const [key, value = ''] = arg.split(/=(.*)/s);
+    if (key === '--year') opts.from = opts.to = parseYear(value, key);
+    else if (key === '--from') opts.from = parseYear(value, key);
+    else if (key === '--to') opts.to = parseYear(value, key);
+    else if (key === '--sport') opts.sports = value.split(',').map((s) => s.trim()).filter(Boolean);
+    else if (key === '--metric') opts.metric = value;
+    else if (key === '--theme') opts.theme = value;
+    else if (key === '--out') opts.out = value;
+    else if (key === '--archive') opts.archive = true;
+    else if (key === '--png') opts.pngWidths = value.split(',').map((w) => Number(w.trim()));
+    else if (key === '--share-card') opts.shareCard = value || DEFAULT_SHARE_CARD;
+    else throw new Error(`Unknown option: ${arg}\n${USAGE}`);
+  }
+  if (!METRICS[opts.metric]) throw new Error(`--metric: expected one of ${Object.keys(METRICS).join(', ')}`);
+  if (!THEMES[opts.theme]) throw new Error(`--theme: expected one of ${Object.keys(THEMES).join(', ')}`);
+  if (opts.pngWidths.length === 0 && argv.some((a) => a.startsWith('--png'))) throw new Error('--png: expected widths, e.g. --png=800,1600');
+  if (opts.pngWidths.some((w) => !Number.isInteger(w) || w < 16 || w > 10000)) {
+    throw new Error('--png: widths must be integers between 16 and 10000');
   }
-  return CONFIG.colors.levels[CONFIG.colors.levels.length - 1].color;
+  if (opts.archive && (opts.from != null || opts.to != null || opts.out)) {
+    throw new Error('--archive writes every year to public/posters/, it cannot be combined with --year/--from/--to/--out');
+  }
+  opts.from ??= opts.to ?? currentYear;
+  opts.to ??= opts.archive ? currentYear : opts.from;
+  if (opts.from > opts.to) throw new Error(`--from (${opts.from}) is after --to (${opts.to})`);
+  if (opts.out && opts.from !== opts.to && !opts.out.includes('{year}')) {
+    throw new Error('--out must contain "{year}" when rendering more than one year');
+  }
+  return opts;
 }
 
-function formatDate(date) {
-  const y = date.getFullYear();
-  const m = String(date.getMonth() + 1).padStart(2, '0');
-  const d = String(date.getDate()).padStart(2, '0');
-  return `${y}-${m}-${d}`;
+function escapeXml(s) {
+  return `${s}`
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
 }
 
-// 判断是否为有效的运动类型（骑行或跑步）
-function isValidActivity(act) {
-  const type = (act.sport_type || act.type || '').toString();
-  const runTypes = ['Run', 'TrailRun', 'VirtualRun', 'Treadmill'];
-  const rideTypes = ['Ride', 'VirtualRide', 'EBikeRide', 'GravelRide'];
-  return runTypes.includes(type) || rideTypes.includes(type);
+/**
+ * 非零值按分位数切成 levels 档，返回各档下界（第一档下界为 0）
+ */
+function quantileThresholds(values, count) {
+  const sorted = values.filter((v) => v > 0).sort((a, b) => a - b);
+  if (sorted.length === 0) return [0];
+  const thresholds = [0];
+  for (let i = 1; i < count; i++) thresholds.push(sorted[Math.floor((sorted.length * i) / count)]);
+  return thresholds;
 }
 
-async function main() {
-  const year = CONFIG.year;
-
-  // 读取活动数据
-  let activities = [];
-  try {
-    const data = await fs.readFile(ACTIVITIES_PATH, 'utf8');
-    activities = JSON.parse(data);
-  } catch {
-    console.log('No activities data found, generating empty poster');
-  }
+function colorOf(value, thresholds, theme) {
+  if (!(value > 0)) return theme.empty;
+  let level = 0;
+  for (let i = 0; i < thresholds.length; i++) if (value >= thresholds[i]) level = i;
+  return theme.levels[level];
+}
 
-  // 按日期聚合距离 (只统计当前年份，包含骑行和跑步)
-  const dailyDistance = new Map();
-  const dailyTypes = new Map(); // 记录每天的运动类型
-  let rideKm = 0;
-  let runKm = 0;
+function formatValue(v, metric) {
+  return `${v.toFixed(METRICS[metric].digits)}${METRICS[metric].unit}`;
+}
 
+/**
+ * 活动 -> 某一年每天的指标值与运动分类
+ */
+function aggregateYear(activities, year, { registry, categories, metric }) {
+  const daily = new Map();
+  const types = new Map();
+  const byCategory = new Map();
   for (const act of activities) {
-    if (!isValidActivity(act)) continue;
-
-    const dateStr = (act.start_date_local || act.start_date || '').slice(0, 10);
-    if (!dateStr.startsWith(String(year))) continue;
-
-    const km = (act.distance_m || 0) / 1000;
-    dailyDistance.set(dateStr, (dailyDistance.get(dateStr) || 0) + km);
-
-    // 统计类型和距离
-    const type = (act.sport_type || act.type || '').toString();
-    const isRun = ['Run', 'TrailRun', 'VirtualRun', 'Treadmill'].includes(type);
-    if (isRun) {
-      runKm += km;
-    } else {
-      rideKm += km;
-    }
-
-    // 记录类型用于 tooltip
-    const types = dailyTypes.get(dateStr) || new Set();
-    types.add(isRun ? 'run' : 'ride');
-    dailyTypes.set(dateStr, types);
+    const category = registry.categoryOf(act);
+    if (!categories.has(category)) continue;
+    // 按运动员当地日历日归档（与机器时区无关）
+    const dateStr = localDayKey(act);
+    if (!dateStr || !dateStr.startsWith(`${year}-`)) continue;
+    const v = METRICS[metric].valueOf(act);
+    daily.set(dateStr, (daily.get(dateStr) || 0) + v);
+    byCategory.set(category, (byCategory.get(category) || 0) + v);
+    const set = types.get(dateStr) || new Set();
+    set.add(registry.get(category).label);
+    types.set(dateStr, set);
   }
+  return { daily, types, byCategory };
+}
 
-  // 计算总距离
-  const totalKm = rideKm + runKm;
-
-  // 生成日期网格 (只包含当前年份)
-  const startDate = new Date(year, 0, 1);
-  const endDate = new Date(year, 11, 31);
+function renderPoster(year, { daily, types }, { metric, theme }) {
+  const days = calendarDaysOfYear(year);
+  const thresholds = quantileThresholds([...daily.values()], theme.levels.length);
 
   // 找到第一周的起始位置 (周一开始)
-  const firstDayOfWeek = startDate.getDay();
+  const firstDayOfWeek = days[0].dayOfWeek;
   const mondayOffset = firstDayOfWeek === 0 ? 6 : firstDayOfWeek - 1;
 
   const cells = [];
   const monthLabels = [];
   const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
 
-  const { cellSize, cellGap, padding, monthLabelHeight } = CONFIG;
+  const { cellSize, cellGap, padding, monthLabelHeight } = LAYOUT;
   const startX = padding.left;
   const startY = padding.top + monthLabelHeight;
 
-  let currentDate = new Date(startDate);
   let lastMonth = -1;
   let maxCol = 0;
 
-  while (currentDate <= endDate) {
-    const dateStr = formatDate(currentDate);
-    const dayOfWeek = currentDate.getDay();
+  for (const { key: dateStr, month, dayOfWeek, dayOfYear } of days) {
     const rowIndex = dayOfWeek === 0 ? 6 : dayOfWeek - 1;
-
-    const dayOfYear = Math.floor((currentDate - startDate) / 86400000);
     const colIndex = Math.floor((dayOfYear + mondayOffset) / 7);
     maxCol = Math.max(maxCol, colIndex);
 
     const x = startX + colIndex * (cellSize + cellGap);
     const y = startY + rowIndex * (cellSize + cellGap);
 
-    const km = dailyDistance.get(dateStr) || 0;
-    const color = getColor(km);
-    const types = dailyTypes.get(dateStr);
-    const typeStr = types ? ` (${[...types].join('+')})` : '';
-    const title = km > 0 ? `${dateStr} ${km.toFixed(1)}km${typeStr}` : dateStr;
+    const v = daily.get(dateStr) || 0;
+    const dayTypes = types.get(dateStr);
+    const typeStr = dayTypes ? ` (${[...dayTypes].join('+')})` : '';
+    const title = v > 0 || dayTypes ? `${dateStr} ${formatValue(v, metric)}${typeStr}` : dateStr;
 
-    cells.push({ x, y, color, title });
+    cells.push({ x, y, color: colorOf(v, thresholds, theme), title });
 
     // 月份标签
-    const month = currentDate.getMonth();
     if (month !== lastMonth) {
       monthLabels.push({ x, label: monthNames[month] });
       lastMonth = month;
     }
-
-    currentDate.setDate(currentDate.getDate() + 1);
   }
 
   // 计算 SVG 尺寸
@@ -159,38 +230,182 @@ async function main() {
   const width = padding.left + gridWidth + padding.right;
   const height = padding.top + monthLabelHeight + gridHeight + padding.bottom;
 
-  // 生成 SVG
-  const svg = generateSVG(cells, monthLabels, { rideKm, runKm }, year, width, height, padding.top + monthLabelHeight - 1);
-
-  await fs.writeFile(OUTPUT_PATH, svg, 'utf8');
-  console.log(`Generated poster for ${year}: ${OUTPUT_PATH}`);
-  console.log(`Ride: ${rideKm.toFixed(1)} km | Run: ${runKm.toFixed(1)} km`);
-  console.log(`Days with activities: ${dailyDistance.size}`);
-  console.log(`SVG size: ${width.toFixed(0)}x${height.toFixed(0)}`);
+  const body = posterBody(cells, monthLabels, padding.top + monthLabelHeight - 1, theme);
+  return { svg: generateSVG(body, width, height, theme), body, width, height };
 }
 
-function generateSVG(cells, monthLabels, stats, year, width, height, monthLabelY) {
-  const { cellSize, colors, padding } = CONFIG;
-
-  let svg = `<?xml version="1.0" encoding="utf-8"?>
+function generateSVG(body, width, height, theme) {
+  return `<?xml version="1.0" encoding="utf-8"?>
 <svg viewBox="0 0 ${width.toFixed(1)} ${height.toFixed(1)}" xmlns="http://www.w3.org/2000/svg">
-<rect fill="${colors.background}" width="100%" height="100%"/>
-`;
+<rect fill="${theme.background}" width="100%" height="100%"/>
+${body}</svg>`;
+}
+
+function posterBody(cells, monthLabels, monthLabelY, theme) {
+  const { cellSize } = LAYOUT;
+  let svg = '';
 
   // 月份标签
   for (const { x, label } of monthLabels) {
-    svg += `<text fill="${colors.text}" font-size="1.8" font-family="Arial" x="${x}" y="${monthLabelY}">${label}</text>\n`;
+    svg += `<text fill="${theme.text}" font-size="1.8" font-family="Arial" x="${x}" y="${monthLabelY}">${escapeXml(label)}</text>\n`;
   }
 
   // 日期格子
   for (const { x, y, color, title } of cells) {
-    svg += `<rect fill="${color}" width="${cellSize}" height="${cellSize}" x="${x}" y="${y}" rx="0.4"><title>${title}</title></rect>\n`;
+    svg += `<rect fill="${color}" width="${cellSize}" height="${cellSize}" x="${x}" y="${y}" rx="0.4"><title>${escapeXml(title)}</title></rect>\n`;
   }
+  return svg;
+}
 
-  svg += '</svg>';
+/**
+ * 分享卡片（1200×630）：年份、骑行 / 跑步里程、活跃天数 + 热力图。
+ * 文案用英文：CI 上栅格化时不一定装有中文字体，中文会变成方块。
+ */
+function shareCardSVG(year, poster, summary, theme) {
+  const { width, height, margin } = SHARE_CARD;
+  const posterWidth = width - margin * 2;
+  const posterHeight = (posterWidth * poster.height) / poster.width;
+  const posterY = height - margin - posterHeight;
+  const km = (v) => `${v >= 100 ? Math.round(v) : v.toFixed(1)} km`;
+  const stats = [
+    { label: 'RIDE', value: km(summary.rideKm) },
+    { label: 'RUN', value: km(summary.runKm) },
+    { label: 'ACTIVE DAYS', value: `${summary.activeDays}` },
+  ];
+  const font = 'font-family="Arial, Helvetica, sans-serif"';
+  let svg = `<?xml version="1.0" encoding="utf-8"?>
+<svg viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+<rect fill="${theme.card}" width="100%" height="100%"/>
+<text ${font} fill="${theme.heading}" font-size="72" font-weight="700" x="${margin}" y="${margin + 64}">${year}</text>
+<text ${font} fill="${theme.text}" font-size="24" letter-spacing="4" x="${margin + 220}" y="${margin + 60}">YEAR IN SPORT</text>
+`;
+  stats.forEach(({ label, value }, i) => {
+    const x = margin + i * (posterWidth / stats.length);
+    svg += `<text ${font} fill="${theme.text}" font-size="22" letter-spacing="2" x="${x}" y="${margin + 140}">${escapeXml(label)}</text>\n`;
+    svg += `<text ${font} fill="${theme.levels[theme.levels.length - 2]}" font-size="56" font-weight="700" x="${x}" y="${margin + 205}">${escapeXml(value)}</text>\n`;
+  });
+  svg += `<svg x="${margin}" y="${posterY.toFixed(1)}" width="${posterWidth}" height="${posterHeight.toFixed(1)}" viewBox="0 0 ${poster.width.toFixed(1)} ${poster.height.toFixed(1)}">
+${poster.body}</svg>
+</svg>`;
   return svg;
 }
 
+/**
+ * 卡片上的年度汇总：与 --sport / --metric 无关，固定展示骑行 / 跑步里程和所有运动的活跃天数
+ */
+function yearSummary(activities, year, registry) {
+  const days = new Set();
+  let rideKm = 0;
+  let runKm = 0;
+  for (const act of activities) {
+    const category = registry.categoryOf(act);
+    const dateStr = localDayKey(act);
+    if (!category || !dateStr || !dateStr.startsWith(`${year}-`)) continue;
+    days.add(dateStr);
+    const km = (Number(act.distance_m) || 0) / 1000;
+    if (category === 'cycling') rideKm += km;
+    if (category === 'running') runKm += km;
+  }
+  return { rideKm, runKm, activeDays: days.size };
+}
+
+let sharpModule = null;
+
+async function rasterize(svg, file, width) {
+  sharpModule ??= (await import('sharp')).default;
+  const viewBoxWidth = Number(svg.match(/viewBox="[\d.]+ [\d.]+ ([\d.]+)/)?.[1]) || width;
+  // 按目标宽度换算渲染密度，避免先渲染成小图再放大导致模糊
+  const density = Math.min(100000, Math.ceil((72 * width) / viewBoxWidth));
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await sharpModule(Buffer.from(svg), { density }).resize({ width }).png().toFile(file);
+}
+
+function pngPathOf(svgPath, width) {
+  return `${svgPath.replace(/\.svg$/i, '')}-${width}.png`;
+}
+
+async function main() {
+  const config = await readSyncConfig();
+  const opts = parseArgs(process.argv.slice(2), Number(todayKey(config.timeZone).slice(0, 4)));
+  const registry = buildSportRegistry(config.sports);
+  const metricDef = METRICS[opts.metric];
+  if (opts.sports) {
+    const unknown = opts.sports.filter((key) => !registry.get(key));
+    if (unknown.length > 0) {
+      throw new Error(`--sport: unknown or disabled categories: ${unknown.join(', ')} (available: ${registry.categories.map((c) => c.key).join(', ')})`);
+    }
+  }
+  const categories = new Set(
+    registry.categories
+      .filter((c) => !opts.sports || opts.sports.includes(c.key))
+      .filter((c) => !metricDef.needsDistance || c.unit)
+      .map((c) => c.key),
+  );
+
+  const activities = await readActivities();
+  if (activities.length === 0) console.log('No activities data found, generating empty poster');
+
+  // --archive：从最早有数据的年份到今年
+  if (opts.archive) {
+    const years = activities
+      .filter((a) => categories.has(registry.categoryOf(a)))
+      .map((a) => Number(localYearKey(a)))
+      .filter(Boolean);
+    if (years.length > 0) opts.from = Math.min(opts.to, ...years);
+  }
+
+  const theme = THEMES[opts.theme];
+  const outputOf = (year) => {
+    if (opts.out) return path.resolve(ROOT, opts.out.replaceAll('{year}', `${year}`));
+    if (opts.archive || opts.from !== opts.to) return path.join(ROOT, ARCHIVE_DIR, `${year}.svg`);
+    return path.join(ROOT, DEFAULT_OUTPUT);
+  };
+
+  const index = [];
+  for (let year = opts.to; year >= opts.from; year--) {
+    const data = aggregateYear(activities, year, { registry, categories, metric: opts.metric });
+    const output = outputOf(year);
+    await fs.mkdir(path.dirname(output), { recursive: true });
+    const poster = renderPoster(year, data, { metric: opts.metric, theme });
+    await fs.writeFile(output, poster.svg, 'utf8');
+    console.log(`Generated poster for ${year}: ${output}`);
+    for (const w of opts.pngWidths) {
+      await rasterize(poster.svg, pngPathOf(output, w), w);
+      console.log(`  PNG ${w}px: ${pngPathOf(output, w)}`);
+    }
+    if (opts.shareCard && year === opts.to) {
+      const card = path.resolve(ROOT, opts.shareCard);
+      await rasterize(shareCardSVG(year, poster, yearSummary(activities, year, registry), theme), card, SHARE_CARD.width);
+      console.log(`  Share card: ${card}`);
+    }
+
+    const total = [...data.daily.values()].reduce((acc, v) => acc + v, 0);
+    index.push({
+      year,
+      file: `/${path.relative(path.join(ROOT, 'public'), output).split(path.sep).join('/')}`,
+      activeDays: data.daily.size,
+      total: Number(total.toFixed(metricDef.digits)),
+      unit: metricDef.unit,
+    });
+    console.log(
+      [...data.byCategory].map(([key, v]) => `${registry.get(key).label}: ${formatValue(v, opts.metric)}`).join(' | ') ||
+        'No activities',
+    );
+    console.log(`Days with activities: ${data.daily.size}`);
+  }
+
+  if (opts.archive) {
+    await writeJson(ARCHIVE_INDEX_PATH, {
+      generatedAt: new Date().toISOString(),
+      metric: opts.metric,
+      theme: opts.theme,
+      sports: [...categories],
+      years: index,
+    });
+    console.log(`Archive index: ${ARCHIVE_INDEX_PATH}`);
+  }
+}
+
 main().catch((e) => {
   console.error(e);
   process.exit(1);
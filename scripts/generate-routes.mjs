@@ -0,0 +1,153 @@
+/**
+ * 基于本地活动数据生成路线 SVG
+ * 不调用 Strava API、不依赖地图瓦片服务，直接解码 activities.min.json 里的 summary_polyline：
+ * - public/routes/<id>.svg：每个活动一张路线图
+ * - public/routes/heatmap.svg：常驻区域内所有路线叠加的“热力图”（重叠越多颜色越深）
+ * - src/data/routes.json：页面使用的索引（最近的路线、热力图信息）
+ */
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { formatDateYmdDot, localDayKey } from './lib/dates.mjs';
+import { decodePolyline, distanceM, project, trimEnds } from './lib/polyline.mjs';
+import { buildSportRegistry } from './lib/sports.mjs';
+import { ROOT, isImportedActivity, readActivities, readSyncConfig, writeJson } from './lib/strava-data.mjs';
+
+const OUTPUT_DIR = path.join(ROOT, 'public/routes');
+const INDEX_PATH = path.join(ROOT, 'src/data/routes.json');
+
+const CONFIG = {
+  // 单个路线图的长边（SVG 坐标）
+  routeSize: 200,
+  heatmapSize: 800,
+  padding: 8,
+  colors: {
+    running: '#fc6a28',
+    cycling: '#2f80ed',
+    hiking: '#27ae60',
+    default: '#9b51e0',
+    heatmap: '#fc4c02',
+  },
+};
+
+/**
+ * 一组 [lat, lng] 路线 -> 适配到 size×size 以内的 SVG 折线坐标（保持长宽比）
+ */
+function fitToBox(routes, size, padding) {
+  const projected = routes.map((pts) => pts.map(project));
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  for (const pts of projected) {
+    for (const [x, y] of pts) {
+      minX = Math.min(minX, x);
+      minY = Math.min(minY, y);
+      maxX = Math.max(maxX, x);
+      maxY = Math.max(maxY, y);
+    }
+  }
+  const span = Math.max(maxX - minX, maxY - minY) || 1e-9;
+  const scale = (size - padding * 2) / span;
+  const width = Math.round((maxX - minX) * scale + padding * 2);
+  const height = Math.round((maxY - minY) * scale + padding * 2);
+  const lines = projected.map((pts) =>
+    pts.map(([x, y]) => `${((x - minX) * scale + padding).toFixed(1)},${((y - minY) * scale + padding).toFixed(1)}`).join(' '),
+  );
+  return { width, height, lines };
+}
+
+function routeSvg(points, color) {
+  const { width, height, lines } = fitToBox([points], CONFIG.routeSize, CONFIG.padding);
+  return `<?xml version="1.0" encoding="utf-8"?>
+<svg viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">
+<polyline points="${lines[0]}" fill="none" stroke="${color}" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"/>
+</svg>`;
+}
+
+function heatmapSvg(routes) {
+  const { width, height, lines } = fitToBox(routes, CONFIG.heatmapSize, CONFIG.padding);
+  let svg = `<?xml version="1.0" encoding="utf-8"?>
+<svg viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">
+<g fill="none" stroke="${CONFIG.colors.heatmap}" stroke-opacity="0.25" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round">
+`;
+  for (const line of lines) svg += `<polyline points="${line}"/>\n`;
+  svg += '</g>\n</svg>';
+  return svg;
+}
+
+/**
+ * 常驻区域：以“半径 radiusKm 内路线起点最多”的那条路线的起点为中心，只取该范围内的路线。
+ * 出差、旅行时的零星路线会把范围撑得很大，整体热力图就看不清了。
+ */
+function pickHomeArea(routes, radiusKm) {
+  let best = null;
+  for (const r of routes) {
+    const members = routes.filter((o) => distanceM(r.points[0], o.points[0]) <= radiusKm * 1000);
+    if (!best || members.length > best.length) best = members;
+  }
+  return best ?? [];
+}
+
+async function main() {
+  const config = await readSyncConfig();
+  const registry = buildSportRegistry(config.sports);
+  const { trimEndsM, heatmapRadiusKm, recent } = config.routes;
+  const activities = await readActivities();
+
+  const routes = [];
+  let skipped = 0;
+  for (const a of activities) {
+    if (!a?.summary_polyline) continue;
+    let points;
+    try {
+      points = trimEnds(decodePolyline(a.summary_polyline), trimEndsM);
+    } catch (e) {
+      skipped += 1;
+      // eslint-disable-next-line no-console
+      console.warn(`[routes] activity ${a.id}: ${e.message}`);
+      continue;
+    }
+    if (points.length < 2) continue;
+    routes.push({ a, category: registry.categoryOf(a), points });
+  }
+
+  await fs.rm(OUTPUT_DIR, { recursive: true, force: true });
+  await fs.mkdir(OUTPUT_DIR, { recursive: true });
+  for (const r of routes) {
+    const color = CONFIG.colors[r.category] ?? CONFIG.colors.default;
+    await fs.writeFile(path.join(OUTPUT_DIR, `${r.a.id}.svg`), routeSvg(r.points, color), 'utf8');
+  }
+
+  const home = pickHomeArea(routes, heatmapRadiusKm);
+  if (home.length > 0) {
+    await fs.writeFile(path.join(OUTPUT_DIR, 'heatmap.svg'), heatmapSvg(home.map((r) => r.points)), 'utf8');
+  }
+
+  // 活动缓存按时间倒序，这里保持同样顺序
+  await writeJson(INDEX_PATH, {
+    generatedAt: new Date().toISOString(),
+    heatmap: home.length > 0 ? { file: '/routes/heatmap.svg', count: home.length, radiusKm: heatmapRadiusKm } : null,
+    total: routes.length,
+    recent: routes.slice(0, recent).map(({ a, category }) => ({
+      id: a.id,
+      name: a.name ?? null,
+      date: formatDateYmdDot(localDayKey(a)),
+      category,
+      label: registry.get(category)?.label ?? null,
+      distanceKm: Math.round((Number(a.distance_m) || 0) / 10) / 100,
+      file: `/routes/${a.id}.svg`,
+      href: isImportedActivity(a) ? null : `https://www.strava.com/activities/${a.id}`,
+    })),
+  });
+
+  // eslint-disable-next-line no-console
+  console.log(`Generated ${routes.length} route(s) in ${OUTPUT_DIR}${skipped ? ` (${skipped} invalid polyline(s) skipped)` : ''}`);
+  // eslint-disable-next-line no-console
+  console.log(`Heatmap: ${home.length} route(s) within ${heatmapRadiusKm} km`);
+}
+
+main().catch((e) => {
+  // eslint-disable-next-line no-console
+  console.error(e);
+  process.exit(1);
+});
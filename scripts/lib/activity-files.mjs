@@ -0,0 +1,399 @@
+/**
+ * 解析本地运动文件（GPX / TCX / FIT），输出与 Strava API 活动相同字段名的原始对象，
+ * 之后交给 minimizeActivity 压缩成缓存记录。
+ *
+ * 只依赖 Node 内置模块：GPX/TCX 结构简单，用正则提取；FIT 按官方协议手动解码。
+ */
+import { encodePolyline, thinByDistance } from './polyline.mjs';
+
+const EARTH_RADIUS_M = 6371008.8;
+// FIT 时间戳的起点：1989-12-31T00:00:00Z
+const FIT_EPOCH_S = 631065600;
+// 低于该速度（m/s）的片段视为停顿，不计入移动时间
+const MOVING_SPEED_MIN = 0.5;
+// 超过该间隔（s）的相邻轨迹点视为暂停
+const MOVING_GAP_MAX_S = 30;
+// 爬升累计前对海拔做滑动平均的窗口（轨迹点数，居中）
+const ELEVATION_SMOOTHING_POINTS = 5;
+// 爬升累计的抖动阈值（m）：从最近的低点起升高超过该值才计入，与 Strava 的口径相近，
+// 过滤 GPS / 气压计在平地上几米的来回波动
+const ELEVATION_THRESHOLD_M = 5;
+// 路线编码时相邻点的最小间距（m），与 Strava summary_polyline 的精度相近
+const POLYLINE_MIN_GAP_M = 30;
+
+function haversineM(a, b) {
+  const toRad = (d) => (d * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLon = toRad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+function mean(values) {
+  const xs = values.filter((x) => Number.isFinite(x));
+  return xs.length ? xs.reduce((acc, x) => acc + x, 0) / xs.length : null;
+}
+
+function round(n, digits) {
+  if (!Number.isFinite(n)) return null;
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+}
+
+/**
+ * 由海拔序列计算累计爬升（m）：先做滑动平均，再按 ELEVATION_THRESHOLD_M 的迟滞累计。
+ * 没有海拔数据时返回 null
+ */
+export function elevationGain(elevations) {
+  const eles = elevations.filter((e) => Number.isFinite(e));
+  if (eles.length === 0) return null;
+  const half = Math.floor(ELEVATION_SMOOTHING_POINTS / 2);
+  const smoothed = eles.map((_, i) => mean(eles.slice(Math.max(0, i - half), i + half + 1)));
+
+  let gain = 0;
+  let ref = smoothed[0];
+  for (const e of smoothed) {
+    if (e - ref >= ELEVATION_THRESHOLD_M) {
+      gain += e - ref;
+      ref = e;
+    } else if (e < ref) {
+      ref = e;
+    }
+  }
+  return gain;
+}
+
+/**
+ * 由轨迹点汇总距离、时长、爬升、心率、功率。
+ * points: [{ time: Date, lat?, lon?, ele?, dist?, hr?, watts? }]，dist 为设备记录的累计距离（可选）
+ * 同时返回 streams（time / distance / heartrate / watts 序列），不会写入缓存。
+ */
+export function summarizeTrack(points) {
+  const pts = points.filter((p) => p.time instanceof Date && !Number.isNaN(p.time.getTime()));
+  if (pts.length === 0) return null;
+  pts.sort((a, b) => a.time - b.time);
+
+  const hasDeviceDist = pts.some((p) => Number.isFinite(p.dist));
+  let distance = 0;
+  let moving = 0;
+  // 与 Strava streams 相同口径的时间 / 累计距离序列，用于计算分段最佳成绩
+  const streamTime = [0];
+  const streamDistance = [0];
+  const streamHr = [pts[0].hr ?? null];
+  const streamWatts = [pts[0].watts ?? null];
+
+  for (let i = 1; i < pts.length; i++) {
+    const p = pts[i];
+    const prev = pts[i - 1];
+    let seg = 0;
+    if (hasDeviceDist) {
+      if (Number.isFinite(p.dist) && Number.isFinite(prev.dist)) seg = Math.max(0, p.dist - prev.dist);
+    } else if (Number.isFinite(p.lat) && Number.isFinite(prev.lat)) {
+      seg = haversineM(prev, p);
+    }
+    distance += seg;
+    streamTime.push(Math.round((p.time - pts[0].time) / 1000));
+    streamDistance.push(distance);
+    streamHr.push(p.hr ?? null);
+    streamWatts.push(p.watts ?? null);
+
+    const dt = (p.time - prev.time) / 1000;
+    if (dt > 0 && dt <= MOVING_GAP_MAX_S && seg / dt >= MOVING_SPEED_MIN) moving += dt;
+  }
+
+  const hrs = pts.map((p) => p.hr).filter((x) => Number.isFinite(x) && x > 0);
+  const watts = pts.map((p) => p.watts).filter((x) => Number.isFinite(x));
+  const first = pts[0].time;
+  const last = pts[pts.length - 1].time;
+  const latLngs = pts.filter((p) => Number.isFinite(p.lat) && Number.isFinite(p.lon)).map((p) => [p.lat, p.lon]);
+
+  return {
+    start: first,
+    distance,
+    elapsed_time: Math.round((last - first) / 1000),
+    moving_time: Math.round(moving),
+    total_elevation_gain: round(elevationGain(pts.map((p) => p.ele)), 1),
+    has_heartrate: hrs.length > 0,
+    average_heartrate: round(mean(hrs), 1),
+    max_heartrate: hrs.length ? Math.max(...hrs) : null,
+    average_watts: round(mean(watts), 1),
+    map: latLngs.length >= 2 ? { summary_polyline: encodePolyline(thinByDistance(latLngs, POLYLINE_MIN_GAP_M)) } : null,
+    streams: { time: streamTime, distance: streamDistance, heartrate: streamHr, watts: streamWatts },
+  };
+}
+
+// --- XML helpers（GPX / TCX）
+
+function xmlText(xml, tag) {
+  const m = xml.match(new RegExp(`<(?:\\w+:)?${tag}\\b[^>]*>([\\s\\S]*?)</(?:\\w+:)?${tag}>`));
+  return m ? decodeXml(m[1].replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1').trim()) : null;
+}
+
+function xmlNumber(xml, tag) {
+  const t = xmlText(xml, tag);
+  const n = t == null ? NaN : Number(t);
+  return Number.isFinite(n) ? n : null;
+}
+
+function xmlBlocks(xml, tag) {
+  return xml.match(new RegExp(`<(?:\\w+:)?${tag}\\b[^>]*?(?:/>|>[\\s\\S]*?</(?:\\w+:)?${tag}>)`, 'g')) || [];
+}
+
+function xmlAttr(block, name) {
+  const m = block.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`));
+  return m ? m[1] : null;
+}
+
+function decodeXml(s) {
+  return s
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// GPX <type> / TCX Sport 等自由文本 -> Strava sport_type
+const SPORT_ALIASES = [
+  [/^(run|running|9|trail_?run(ning)?|treadmill)$/i, 'Run'],
+  [/^(ride|cycling|biking|bike|1|road_?biking|mountain_?biking|gravel)$/i, 'Ride'],
+  [/^(walk|walking)$/i, 'Walk'],
+  [/^(hike|hiking)$/i, 'Hike'],
+  [/^(swim|swimming)$/i, 'Swim'],
+];
+
+export function normalizeSportType(text) {
+  if (!text) return null;
+  const t = `${text}`.trim();
+  for (const [re, sport] of SPORT_ALIASES) {
+    if (re.test(t)) return sport;
+  }
+  return null;
+}
+
+export function parseGpx(xml) {
+  const name = xmlText(xml.replace(/<trkpt[\s\S]*$/, ''), 'name');
+  const type = xmlText(xml.replace(/<trkseg[\s\S]*$/, ''), 'type');
+  const creator = xmlAttr(xml.match(/<gpx\b[^>]*>/)?.[0] || '', 'creator');
+
+  const points = xmlBlocks(xml, 'trkpt').map((block) => ({
+    lat: Number(xmlAttr(block, 'lat')),
+    lon: Number(xmlAttr(block, 'lon')),
+    ele: xmlNumber(block, 'ele'),
+    time: xmlText(block, 'time') ? new Date(xmlText(block, 'time')) : null,
+    hr: xmlNumber(block, 'hr'),
+    watts: xmlNumber(block, 'power') ?? xmlNumber(block, 'PowerInWatts'),
+  }));
+  const summary = summarizeTrack(points);
+  if (!summary) return [];
+
+  return [
+    {
+      name,
+      sport_type: normalizeSportType(type),
+      device_name: creator,
+      ...summary,
+    },
+  ];
+}
+
+export function parseTcx(xml) {
+  const creator = xmlText(xmlBlocks(xml, 'Creator')[0] || '', 'Name');
+
+  return xmlBlocks(xml, 'Activity')
+    .map((activity) => {
+      const laps = xmlBlocks(activity, 'Lap');
+      const points = xmlBlocks(activity, 'Trackpoint').map((block) => {
+        const pos = xmlBlocks(block, 'Position')[0] || '';
+        return {
+          time: xmlText(block, 'Time') ? new Date(xmlText(block, 'Time')) : null,
+          lat: xmlNumber(pos, 'LatitudeDegrees'),
+          lon: xmlNumber(pos, 'LongitudeDegrees'),
+          ele: xmlNumber(block, 'AltitudeMeters'),
+          dist: xmlNumber(block, 'DistanceMeters'),
+          hr: xmlNumber(xmlBlocks(block, 'HeartRateBpm')[0] || '', 'Value'),
+          watts: xmlNumber(block, 'Watts'),
+        };
+      });
+      const summary = summarizeTrack(points);
+
+      // 圈（Lap）汇总由设备直接给出，比轨迹点推算更准确，优先使用
+      const lapNum = (lap, tag) => xmlNumber(lap.replace(/<Track\b[\s\S]*<\/Track>/, ''), tag);
+      const lapTime = laps.reduce((acc, lap) => acc + (lapNum(lap, 'TotalTimeSeconds') || 0), 0);
+      const lapDist = laps.reduce((acc, lap) => acc + (lapNum(lap, 'DistanceMeters') || 0), 0);
+      const lapCalories = laps.reduce((acc, lap) => acc + (lapNum(lap, 'Calories') || 0), 0);
+      const lapMaxSpeed = Math.max(0, ...laps.map((lap) => lapNum(lap, 'MaximumSpeed') || 0));
+      const lapStart = laps[0] ? xmlAttr(laps[0], 'StartTime') : null;
+      const idText = xmlText(activity, 'Id');
+      const start = lapStart ? new Date(lapStart) : idText ? new Date(idText) : summary?.start;
+      if (!start || Number.isNaN(start.getTime())) return null;
+
+      return {
+        name: xmlText(activity, 'Notes'),
+        sport_type: normalizeSportType(xmlAttr(activity, 'Sport')),
+        device_name: xmlText(xmlBlocks(activity, 'Creator')[0] || '', 'Name') || creator,
+        ...(summary || {}),
+        start,
+        distance: lapDist > 0 ? lapDist : summary?.distance ?? 0,
+        moving_time: lapTime > 0 ? Math.round(lapTime) : summary?.moving_time ?? 0,
+        elapsed_time: summary?.elapsed_time ?? Math.round(lapTime),
+        calories: lapCalories > 0 ? Math.round(lapCalories) : null,
+        max_speed: lapMaxSpeed > 0 ? lapMaxSpeed : null,
+      };
+    })
+    .filter(Boolean);
+}
+
+// --- FIT
+
+// base type 编号（低 5 位） -> [字节数, 读取函数, 无效值]
+const FIT_BASE_TYPES = {
+  0: [1, (v, o) => v.getUint8(o), 0xff], // enum
+  1: [1, (v, o) => v.getInt8(o), 0x7f],
+  2: [1, (v, o) => v.getUint8(o), 0xff],
+  3: [2, (v, o, le) => v.getInt16(o, le), 0x7fff],
+  4: [2, (v, o, le) => v.getUint16(o, le), 0xffff],
+  5: [4, (v, o, le) => v.getInt32(o, le), 0x7fffffff],
+  6: [4, (v, o, le) => v.getUint32(o, le), 0xffffffff],
+  8: [4, (v, o, le) => v.getFloat32(o, le), null],
+  9: [8, (v, o, le) => v.getFloat64(o, le), null],
+  10: [1, (v, o) => v.getUint8(o), 0],
+  11: [2, (v, o, le) => v.getUint16(o, le), 0],
+  12: [4, (v, o, le) => v.getUint32(o, le), 0],
+  13: [1, (v, o) => v.getUint8(o), 0xff],
+};
+
+const FIT_MESG = { fileId: 0, session: 18, activity: 34 };
+
+// FIT sport / sub_sport 枚举 -> Strava sport_type
+const FIT_SPORTS = { 1: 'Run', 2: 'Ride', 5: 'Swim', 11: 'Walk', 15: 'Rowing', 17: 'Hike' };
+const FIT_SUB_SPORT_TREADMILL = 1;
+const FIT_SUB_SPORT_INDOOR_CYCLING = 6;
+const FIT_SUB_SPORT_VIRTUAL = 58;
+
+/**
+ * 最小化的 FIT 解码：只保留 file_id / session / activity 三类消息。
+ * 返回 { messages: { [globalNum]: Array<Record<fieldNum, value>> } }
+ */
+export function decodeFit(buffer) {
+  const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+  const headerSize = view.getUint8(0);
+  const dataSize = view.getUint32(4, true);
+  const signature = String.fromCharCode(...buffer.subarray(8, 12));
+  if (signature !== '.FIT') throw new Error('Not a FIT file (missing .FIT signature)');
+
+  const wanted = new Set(Object.values(FIT_MESG));
+  const definitions = new Map();
+  const messages = {};
+  const end = Math.min(buffer.byteLength, headerSize + dataSize);
+  let offset = headerSize;
+
+  while (offset < end) {
+    const header = view.getUint8(offset);
+    offset += 1;
+
+    const compressed = (header & 0x80) !== 0;
+    const isDefinition = !compressed && (header & 0x40) !== 0;
+    const localType = compressed ? (header >> 5) & 0x03 : header & 0x0f;
+
+    if (isDefinition) {
+      const hasDevFields = (header & 0x20) !== 0;
+      const littleEndian = view.getUint8(offset + 1) === 0;
+      const globalNum = view.getUint16(offset + 2, littleEndian);
+      const fieldCount = view.getUint8(offset + 4);
+      offset += 5;
+      const fields = [];
+      for (let i = 0; i < fieldCount; i++) {
+        fields.push({ num: view.getUint8(offset), size: view.getUint8(offset + 1), type: view.getUint8(offset + 2) & 0x1f });
+        offset += 3;
+      }
+      let devSize = 0;
+      if (hasDevFields) {
+        const devCount = view.getUint8(offset);
+        offset += 1;
+        for (let i = 0; i < devCount; i++) {
+          devSize += view.getUint8(offset + 1);
+          offset += 3;
+        }
+      }
+      definitions.set(localType, { globalNum, littleEndian, fields, devSize });
+      continue;
+    }
+
+    const def = definitions.get(localType);
+    if (!def) throw new Error(`FIT data message references undefined local type ${localType}`);
+
+    const record = {};
+    for (const field of def.fields) {
+      const base = FIT_BASE_TYPES[field.type];
+      // 只读取单值字段；数组、字符串等直接跳过
+      if (wanted.has(def.globalNum) && base && base[0] === field.size) {
+        const value = base[1](view, offset, def.littleEndian);
+        if (value !== base[2]) record[field.num] = value;
+      }
+      offset += field.size;
+    }
+    offset += def.devSize;
+
+    if (wanted.has(def.globalNum)) (messages[def.globalNum] ||= []).push(record);
+  }
+
+  return { messages };
+}
+
+const fitDate = (v) => (Number.isFinite(v) ? new Date((v + FIT_EPOCH_S) * 1000) : null);
+const scaled = (v, scale) => (Number.isFinite(v) ? v / scale : null);
+
+export function parseFit(buffer) {
+  const { messages } = decodeFit(buffer);
+  const sessions = messages[FIT_MESG.session] || [];
+  const activity = (messages[FIT_MESG.activity] || [])[0];
+
+  // activity.local_timestamp - activity.timestamp 即设备所在时区的 UTC 偏移
+  const utcOffsetS =
+    activity && Number.isFinite(activity[5]) && Number.isFinite(activity[253]) ? activity[5] - activity[253] : null;
+
+  return sessions
+    .map((s) => {
+      const start = fitDate(s[2] ?? s[253]);
+      if (!start) return null;
+      let sportType = FIT_SPORTS[s[5]] ?? null;
+      if (sportType === 'Ride' && s[6] === FIT_SUB_SPORT_VIRTUAL) sportType = 'VirtualRide';
+      if (sportType === 'Run' && s[6] === FIT_SUB_SPORT_VIRTUAL) sportType = 'VirtualRun';
+      const avgSpeed = scaled(s[124], 1000) ?? scaled(s[14], 1000);
+      const maxSpeed = scaled(s[125], 1000) ?? scaled(s[15], 1000);
+      return {
+        name: null,
+        sport_type: sportType,
+        start,
+        utc_offset_s: utcOffsetS,
+        distance: scaled(s[9], 100) ?? 0,
+        elapsed_time: Math.round(scaled(s[7], 1000) ?? 0),
+        moving_time: Math.round(scaled(s[8], 1000) ?? scaled(s[7], 1000) ?? 0),
+        total_elevation_gain: s[22] ?? null,
+        calories: s[11] ?? null,
+        average_speed: avgSpeed,
+        max_speed: maxSpeed,
+        has_heartrate: Number.isFinite(s[16]),
+        average_heartrate: s[16] ?? null,
+        max_heartrate: s[17] ?? null,
+        average_watts: s[20] ?? null,
+        trainer: s[6] === FIT_SUB_SPORT_TREADMILL || s[6] === FIT_SUB_SPORT_INDOOR_CYCLING || null,
+        device_name: 'FIT',
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * 按扩展名解析文件内容（Buffer），返回解析出的活动列表（一个文件可能包含多个 session）
+ */
+export function parseActivityFile(fileName, buffer) {
+  const ext = fileName.toLowerCase().split('.').pop();
+  if (ext === 'gpx') return parseGpx(buffer.toString('utf8'));
+  if (ext === 'tcx') return parseTcx(buffer.toString('utf8').trim());
+  if (ext === 'fit') return parseFit(buffer);
+  throw new Error(`Unsupported activity file: ${fileName}`);
+}
+
+export const SUPPORTED_EXTENSIONS = ['.gpx', '.tcx', '.fit'];
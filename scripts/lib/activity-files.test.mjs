@@ -0,0 +1,35 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { elevationGain, parseGpx } from './activity-files.mjs';
+
+// 每 5 s 一个点、向北约 12.5 m（约 9 km/h）的轨迹
+function gpx(elevations) {
+  const start = Date.parse('2025-06-01T00:00:00Z');
+  const points = elevations.map((ele, i) => {
+    const time = new Date(start + i * 5000).toISOString();
+    return `<trkpt lat="${(30 + i * 0.0001125).toFixed(7)}" lon="120"><ele>${ele}</ele><time>${time}</time></trkpt>`;
+  });
+  return `<gpx creator="test"><trk><name>test</name><type>running</type><trkseg>${points.join('')}</trkseg></trk></gpx>`;
+}
+
+test('flat track with noisy altitude reports near-zero gain', () => {
+  // 在 10 ~ 12 m 之间来回抖动，约 7.8 km
+  let seed = 1;
+  const random = () => ((seed = (seed * 16807) % 2147483647) / 2147483647);
+  const elevations = Array.from({ length: 625 }, () => Math.round((10 + random() * 2) * 10) / 10);
+  const [activity] = parseGpx(gpx(elevations));
+
+  assert.ok(activity.distance > 7500 && activity.distance < 8100);
+  assert.ok(activity.total_elevation_gain < 5, `gain ${activity.total_elevation_gain}`);
+});
+
+test('steady climb is counted in full', () => {
+  const elevations = Array.from({ length: 201 }, (_, i) => i * 0.5);
+  const gain = elevationGain(elevations);
+  // 最后一段不足阈值的爬升不计入
+  assert.ok(gain >= 95 && gain <= 100, `gain ${gain}`);
+});
+
+test('no altitude data gives null gain', () => {
+  assert.equal(elevationGain([null, undefined, NaN]), null);
+});
@@ -0,0 +1,242 @@
+/**
+ * baseline.json：Strava 之外的历史数据（按年 / 按月记录的距离、时长、次数与 PB）
+ *
+ * 结构：
+ * {
+ *   "running": {
+ *     "sinceLabel": "2025.06起",          // 可选，总跑量卡片的标签
+ *     "avgPaceText": "~6'05''/km",        // 可选，总跑量卡片的副标题
+ *     "periods": [
+ *       { "period": "2025", "distanceKm": 374.24, "movingTimeHours": 37.94, "count": 40 },
+ *       { "period": "2024-11", "distanceKm": 80, "paceText": "6'10''/km" },
+ *       { "period": "..2024-06", "distanceKm": 500, "movingTimeHours": 50, "count": 60, "caloriesKcal": 30000 }
+ *     ],
+ *     "best": { "best5k": { "timeText": "27:31", "unit": "min", "paceText": "5'30''/km", "dateText": "2025.10.01" } }
+ *   },
+ *   "cycling": { "periods": [...], "best": { "farthest": { "distanceKm": 120, "speedText": "~25 km/h", "dateText": "2024.05.01" } } }
+ * }
+ *
+ * 顶层 key 为运动分类（running / cycling / swimming ...，见 sports.mjs），每个分类结构相同；
+ * 另有可选的 "schemaVersion"（见 schemas.mjs），没有时按 v1 处理并迁移旧格式。
+ *
+ * - period 为 "YYYY"（只计入总计和年度）或 "YYYY-MM"（同时计入月度列表）；
+ *   "..YYYY" / "..YYYY-MM" 为截至该年 / 月、起点不明的历史，".." 为时间不明的历史，都只计入总计，
+ *   每个分类最多一条，且须早于其它所有记录
+ * - caloriesKcal 可选，只做记录，不参与统计
+ * - 时长用 movingTimeHours，或用 paceText × distanceKm 推算；count 缺省为 0
+ * - 同一年不能同时出现整年和按月的记录，避免重复计算
+ */
+
+import { migrateBaseline } from './schemas.mjs';
+
+const DEFAULT_SPORTS = ['running', 'cycling'];
+const SPORT_KEYS = ['sinceLabel', 'avgPaceText', 'periods', 'best'];
+const PERIOD_KEYS = ['period', 'distanceKm', 'movingTimeHours', 'paceText', 'count', 'caloriesKcal'];
+const PERIOD_RE = /^(\.\.)?(?:(\d{4})(?:-(0[1-9]|1[0-2]))?)?$/;
+
+export function parsePaceToSeconds(paceText) {
+  if (!paceText) return 0;
+  const match = paceText.match(/(\d+)'(\d+)''/);
+  if (!match) return 0;
+  const m = parseInt(match[1], 10);
+  const s = parseInt(match[2], 10);
+  return m * 60 + s;
+}
+
+export function parseBaselineTimeToSec(timeText) {
+  if (!timeText) return null;
+  const t = `${timeText}`.trim();
+  if (!t) return null;
+
+  // "1:58:30"
+  if (t.split(':').length === 3) {
+    const [hh, mm, ss] = t.split(':').map((x) => parseInt(x, 10));
+    if ([hh, mm, ss].every(Number.isFinite)) return hh * 3600 + mm * 60 + ss;
+    return null;
+  }
+
+  // "59:01"
+  if (t.includes(':')) {
+    const [mm, ss] = t.split(':').map((x) => parseInt(x, 10));
+    if (Number.isFinite(mm) && Number.isFinite(ss)) return mm * 60 + ss;
+    return null;
+  }
+
+  // "27.31" (你的页面当前写法，按 27分31秒 解析)
+  if (t.includes('.')) {
+    const [mm, ss] = t.split('.').map((x) => parseInt(x, 10));
+    if (Number.isFinite(mm) && Number.isFinite(ss)) return mm * 60 + ss;
+    return null;
+  }
+
+  // fallback: treat as minutes
+  const mm = parseInt(t, 10);
+  return Number.isFinite(mm) ? mm * 60 : null;
+}
+
+const isObject = (v) => v != null && typeof v === 'object' && !Array.isArray(v);
+const isNonNegative = (v) => typeof v === 'number' && Number.isFinite(v) && v >= 0;
+
+/**
+ * 旧格式（running.totalDistanceKm + avgPaceText，没有 periods）转换成一条记录：
+ * 年份取自 sinceLabel（如 "2025.06起"），没有时转成时间不明的 ".."
+ */
+function migrateLegacySport(sport, data, errors) {
+  if (!('totalDistanceKm' in data)) return data;
+  const { totalDistanceKm, totalMovingTimeHours, totalCount, totalCaloriesKcal, ...rest } = data;
+  if (data.periods) {
+    errors.push(`${sport}: totalDistanceKm and periods cannot be used together`);
+    return rest;
+  }
+  const year = `${data.sinceLabel || ''}`.match(/\d{4}/)?.[0];
+  const period = { period: year || '..', distanceKm: totalDistanceKm };
+  if (totalMovingTimeHours != null) period.movingTimeHours = totalMovingTimeHours;
+  else if (data.avgPaceText) period.paceText = data.avgPaceText;
+  if (totalCount != null) period.count = totalCount;
+  if (totalCaloriesKcal != null) period.caloriesKcal = totalCaloriesKcal;
+  return { ...rest, periods: [period] };
+}
+
+function validatePeriod(sport, p, i, errors) {
+  const at = `${sport}.periods[${i}]`;
+  if (!isObject(p)) {
+    errors.push(`${at}: must be an object`);
+    return null;
+  }
+  for (const k of Object.keys(p)) if (!PERIOD_KEYS.includes(k)) errors.push(`${at}: unknown field "${k}"`);
+  const m = typeof p.period === 'string' ? p.period.match(PERIOD_RE) : null;
+  if (!m || (!m[1] && !m[2])) {
+    errors.push(`${at}.period: expected "YYYY", "YYYY-MM", "..YYYY", "..YYYY-MM" or "..", got ${JSON.stringify(p.period)}`);
+  }
+  if (!isNonNegative(p.distanceKm)) errors.push(`${at}.distanceKm: must be a non-negative number`);
+  if (p.movingTimeHours != null && !isNonNegative(p.movingTimeHours)) {
+    errors.push(`${at}.movingTimeHours: must be a non-negative number`);
+  }
+  if (p.paceText != null && parsePaceToSeconds(p.paceText) <= 0) {
+    errors.push(`${at}.paceText: expected a pace like "6'05''/km"`);
+  }
+  if (p.movingTimeHours != null && p.paceText != null) errors.push(`${at}: use either movingTimeHours or paceText`);
+  if (p.count != null && !(Number.isInteger(p.count) && p.count >= 0)) {
+    errors.push(`${at}.count: must be a non-negative integer`);
+  }
+  if (p.caloriesKcal != null && !isNonNegative(p.caloriesKcal)) {
+    errors.push(`${at}.caloriesKcal: must be a non-negative number`);
+  }
+  if (!m || (!m[1] && !m[2])) return null;
+
+  const distanceKm = Number(p.distanceKm) || 0;
+  const movingTimeHours =
+    p.movingTimeHours != null ? p.movingTimeHours : (distanceKm * parsePaceToSeconds(p.paceText)) / 3600;
+  const open = Boolean(m[1]);
+  return {
+    period: p.period,
+    open,
+    // 起点不明的记录：until 为截止的年份 / 月份（".." 时为 null），year / month 为 null，只计入总计
+    until: open ? p.period.slice(2) || null : null,
+    year: open ? null : m[2],
+    month: !open && m[3] ? p.period : null,
+    distanceKm,
+    movingTimeHours,
+    count: p.count ?? 0,
+    caloriesKcal: p.caloriesKcal ?? null,
+  };
+}
+
+function validateSport(sport, raw, errors) {
+  if (raw == null) return { periods: [], best: {} };
+  if (!isObject(raw)) {
+    errors.push(`${sport}: must be an object`);
+    return { periods: [], best: {} };
+  }
+  const data = raw;
+  for (const k of Object.keys(data)) if (!SPORT_KEYS.includes(k)) errors.push(`${sport}: unknown field "${k}"`);
+
+  let periods = [];
+  if (data.periods != null) {
+    if (!Array.isArray(data.periods)) errors.push(`${sport}.periods: must be an array`);
+    else periods = data.periods.map((p, i) => validatePeriod(sport, p, i, errors)).filter(Boolean);
+  }
+
+  const seen = new Set();
+  for (const p of periods) {
+    if (seen.has(p.period)) errors.push(`${sport}.periods: duplicate period "${p.period}"`);
+    seen.add(p.period);
+  }
+  for (const p of periods) {
+    if (p.month && seen.has(p.year)) {
+      errors.push(`${sport}.periods: "${p.period}" overlaps the whole-year entry "${p.year}"`);
+    }
+  }
+  const open = periods.filter((p) => p.open);
+  if (open.length > 1) errors.push(`${sport}.periods: only one open-ended period is allowed, got ${open.map((p) => `"${p.period}"`).join(', ')}`);
+  for (const o of open) {
+    // 截止年份 / 月份之内（含）的记录会与起点不明的记录重叠；".." 时间不明，不检查
+    const overlapping = o.until ? periods.filter((p) => !p.open && o.until >= p.period.slice(0, o.until.length)) : [];
+    for (const p of overlapping) errors.push(`${sport}.periods: "${p.period}" overlaps the open-ended entry "${o.period}"`);
+  }
+
+  const best = data.best ?? {};
+  if (!isObject(best)) errors.push(`${sport}.best: must be an object`);
+  else {
+    for (const [key, pb] of Object.entries(best)) {
+      if (!isObject(pb)) errors.push(`${sport}.best.${key}: must be an object`);
+      else if (key !== 'farthest' && parseBaselineTimeToSec(pb.timeText) == null) {
+        errors.push(`${sport}.best.${key}.timeText: expected a time like "27:31" or "1:58:30"`);
+      } else if (key === 'farthest' && !isNonNegative(pb.distanceKm)) {
+        errors.push(`${sport}.best.farthest.distanceKm: must be a non-negative number`);
+      }
+    }
+  }
+
+  return {
+    sinceLabel: data.sinceLabel ?? null,
+    avgPaceText: data.avgPaceText ?? null,
+    periods,
+    best: isObject(best) ? best : {},
+  };
+}
+
+/**
+ * 把 baseline.json 迁移到当前版本；返回 { data, migrated }，data 仍是 baseline.json 的原始格式（可写回）
+ */
+export function upgradeBaseline(raw) {
+  return migrateBaseline(raw, migrateLegacySport);
+}
+
+/**
+ * 校验并规范化 baseline.json；有问题时抛出错误并列出所有问题，而不是静默算错。
+ * sports 为允许出现的分类 key（见 sports.mjs 的注册表）。
+ */
+export function normalizeBaseline(input, sports = DEFAULT_SPORTS) {
+  const errors = [];
+  const { data: raw } = upgradeBaseline(input);
+  for (const k of Object.keys(raw)) if (!sports.includes(k)) errors.push(`unknown sport "${k}"`);
+  const out = Object.fromEntries(sports.map((sport) => [sport, validateSport(sport, raw[sport], errors)]));
+  if (errors.length > 0) {
+    throw new Error(`baseline.json is invalid:\n${errors.map((e) => `  - ${e}`).join('\n')}`);
+  }
+  return out;
+}
+
+/**
+ * baseline 各时间段的汇总：总计、按年、按月（只含 YYYY-MM 记录）；起点不明的记录只计入总计
+ */
+export function summarizeBaseline(sportBaseline) {
+  const periods = sportBaseline?.periods ?? [];
+  const add = (acc, p) => {
+    acc.distanceKm += p.distanceKm;
+    acc.movingTimeHours += p.movingTimeHours;
+    acc.count += p.count;
+    return acc;
+  };
+  const empty = () => ({ distanceKm: 0, movingTimeHours: 0, count: 0 });
+
+  const years = {};
+  const months = {};
+  for (const p of periods) {
+    if (!p.year) continue;
+    add((years[p.year] ||= empty()), p);
+    if (p.month) add((months[p.month] ||= empty()), p);
+  }
+  return { total: periods.reduce(add, empty()), years, months };
+}
@@ -0,0 +1,52 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { normalizeBaseline, summarizeBaseline, upgradeBaseline } from './baseline.mjs';
+
+// 本仓库 schemaVersion 之前的 baseline.json：骑行没有 sinceLabel
+const LEGACY = {
+  running: {
+    sinceLabel: '2025.06起',
+    totalDistanceKm: 374.24,
+    avgPaceText: "~6'05''/km",
+    best: { best5k: { timeText: '27.31', unit: 'min', paceText: "5'30''/km" } },
+  },
+  cycling: {
+    totalDistanceKm: 1455.36,
+    totalMovingTimeHours: 60.02,
+    totalCount: 73,
+    totalCaloriesKcal: 41464,
+  },
+};
+
+test('legacy totals without sinceLabel migrate into an open-ended period', () => {
+  const { data, migrated } = upgradeBaseline(LEGACY);
+  assert.equal(migrated, true);
+  assert.deepEqual(data.running.periods, [{ period: '2025', distanceKm: 374.24, paceText: "~6'05''/km" }]);
+  assert.deepEqual(data.cycling, {
+    periods: [{ period: '..', distanceKm: 1455.36, movingTimeHours: 60.02, count: 73, caloriesKcal: 41464 }],
+  });
+});
+
+test('open-ended periods count towards the total only', () => {
+  const baseline = normalizeBaseline(upgradeBaseline(LEGACY).data);
+  const cycling = summarizeBaseline(baseline.cycling);
+  assert.deepEqual(cycling.total, { distanceKm: 1455.36, movingTimeHours: 60.02, count: 73 });
+  assert.deepEqual(cycling.years, {});
+  assert.deepEqual(cycling.months, {});
+  assert.equal(baseline.cycling.periods[0].caloriesKcal, 41464);
+});
+
+test('open-ended period must end before the dated periods', () => {
+  const input = (periods) => ({ schemaVersion: 2, cycling: { periods } });
+  assert.doesNotThrow(() =>
+    normalizeBaseline(input([{ period: '..2024-03', distanceKm: 100 }, { period: '2024-04', distanceKm: 10 }])),
+  );
+  assert.throws(
+    () => normalizeBaseline(input([{ period: '..2024-03', distanceKm: 100 }, { period: '2024', distanceKm: 10 }])),
+    /"2024" overlaps the open-ended entry "\.\.2024-03"/,
+  );
+  assert.throws(
+    () => normalizeBaseline(input([{ period: '..', distanceKm: 100 }, { period: '..2023', distanceKm: 10 }])),
+    /only one open-ended period is allowed/,
+  );
+});
@@ -0,0 +1,54 @@
+/**
+ * 跑步最佳成绩（best efforts）相关工具：
+ * - 压缩 Strava 活动详情里的 best_efforts
+ * - 从距离流（time/distance streams）里找出任意距离的最快分段
+ */
+
+// 比较距离时的容差（米）：Strava 半马记为 21097.5，部分接口会取整
+const DISTANCE_MATCH_TOLERANCE_M = 1;
+
+export function sameDistance(a, b) {
+  return Math.abs(Number(a) - Number(b)) <= DISTANCE_MATCH_TOLERANCE_M;
+}
+
+/**
+ * Strava best_efforts -> [{ distance_m, elapsed_time_s }]（缓存里只保留这两个字段）
+ */
+export function compactBestEfforts(efforts) {
+  if (!Array.isArray(efforts)) return undefined;
+  return efforts
+    .filter((e) => Number.isFinite(Number(e?.distance)) && Number(e?.elapsed_time) > 0)
+    .map((e) => ({ distance_m: Number(e.distance), elapsed_time_s: Number(e.elapsed_time) }));
+}
+
+/**
+ * 在一条活动的时间/累计距离序列里，找覆盖 targetM 米的最短用时（秒）。
+ * 双指针扫描，终点落在两个采样点之间时按线性插值。
+ */
+export function bestEffortFromStream(time, distance, targetM) {
+  if (!Array.isArray(time) || !Array.isArray(distance) || time.length !== distance.length) return null;
+  const n = distance.length;
+  if (n < 2 || distance[n - 1] - distance[0] < targetM) return null;
+
+  let best = null;
+  let j = 0;
+  for (let i = 0; i < n; i++) {
+    if (j < i) j = i;
+    while (j < n && distance[j] - distance[i] < targetM) j++;
+    if (j >= n) break;
+    const segD = distance[j] - distance[j - 1];
+    const segT = time[j] - time[j - 1];
+    const over = distance[j] - distance[i] - targetM;
+    const t = time[j] - time[i] - (segD > 0 ? (segT * over) / segD : 0);
+    if (t > 0 && (best == null || t < best)) best = t;
+  }
+  return best == null ? null : Math.round(best);
+}
+
+/**
+ * 对一组目标距离批量计算最快分段，返回与 compactBestEfforts 相同的结构。
+ * 活动本身不够长、或流数据不可用的距离记为 elapsed_time_s: null，避免反复拉取。
+ */
+export function bestEffortsFromStream(time, distance, targetsM) {
+  return targetsM.map((d) => ({ distance_m: d, elapsed_time_s: bestEffortFromStream(time, distance, d) }));
+}
@@ -0,0 +1,142 @@
+/**
+ * 活动日期的统一处理，供同步 / 导入 / 海报脚本共用
+ *
+ * Strava 的 start_date_local 是“当地墙上时间 + Z 后缀”的朴素时间戳（例如跑步发生在
+ * 北京时间 23:30，记为 "2025-12-31T23:30:00Z"），并不是真正的 UTC 时刻。
+ * 如果 new Date() 之后再用 getFullYear()/getMonth()/getDate() 读取，结果取决于运行脚本机器的时区，
+ * 在 UTC 的 CI 上没问题、在本地 UTC+8 的电脑上就会跨天甚至跨年。
+ * 这里一律直接解析字符串里的年月日，按运动员当地的日历日分桶，与机器时区无关。
+ */
+
+const YMD_RE = /^(\d{4})-(\d{2})-(\d{2})/;
+const DAY_MS = 86400000;
+
+function pad2(n) {
+  return n < 10 ? `0${n}` : `${n}`;
+}
+
+export function toIsoSeconds(date) {
+  return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+/**
+ * 取日期的年月日：字符串按字面解析（不做时区换算），Date 对象按 UTC 读取
+ */
+export function dateParts(dateLike) {
+  const m = typeof dateLike === 'string' ? dateLike.match(YMD_RE) : null;
+  if (m) return { year: Number(m[1]), month: Number(m[2]), day: Number(m[3]) };
+  const d = dateLike instanceof Date ? dateLike : new Date(dateLike);
+  if (Number.isNaN(d.getTime())) return null;
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+}
+
+/**
+ * 活动的当地开始时间；没有 start_date_local 的旧数据退回 UTC 的 start_date
+ */
+export function activityLocalDate(a) {
+  return a?.start_date_local || a?.start_date || null;
+}
+
+export function localDayKey(a) {
+  const p = dateParts(activityLocalDate(a));
+  return p ? `${p.year}-${pad2(p.month)}-${pad2(p.day)}` : null;
+}
+
+export function localMonthKey(a) {
+  const p = dateParts(activityLocalDate(a));
+  return p ? `${p.year}-${pad2(p.month)}` : null;
+}
+
+export function localYearKey(a) {
+  const p = dateParts(activityLocalDate(a));
+  return p ? `${p.year}` : null;
+}
+
+/**
+ * "2025-12-31T23:30:00Z" -> "2025.12.31"
+ */
+export function formatDateYmdDot(dateLike) {
+  const p = dateParts(dateLike);
+  return p ? `${p.year}.${pad2(p.month)}.${pad2(p.day)}` : null;
+}
+
+function dayKeyOfUtcMs(t) {
+  const d = new Date(t);
+  return `${d.getUTCFullYear()}-${pad2(d.getUTCMonth() + 1)}-${pad2(d.getUTCDate())}`;
+}
+
+/**
+ * 'YYYY-MM-DD' -> 自 1970-01-01 起的天数，便于判断连续天数
+ */
+export function dayIndex(dayKey) {
+  const p = dateParts(dayKey);
+  return p ? Math.round(Date.UTC(p.year, p.month - 1, p.day) / DAY_MS) : null;
+}
+
+export function addDays(dayKey, n) {
+  return dayKeyOfUtcMs((dayIndex(dayKey) + n) * DAY_MS);
+}
+
+/**
+ * ISO 周（周一开始，含当年第一个周四的那周为第 1 周）
+ * '2026-01-01' -> { key: '2026-W01', start: '2025-12-29' }
+ */
+export function isoWeekOf(dayKey) {
+  const idx = dayIndex(dayKey);
+  if (idx == null) return null;
+  const t = idx * DAY_MS;
+  const dow = (new Date(t).getUTCDay() + 6) % 7; // 周一 = 0
+  const thursday = t + (3 - dow) * DAY_MS;
+  const weekYear = new Date(thursday).getUTCFullYear();
+  const week = 1 + Math.floor((thursday - Date.UTC(weekYear, 0, 1)) / DAY_MS / 7);
+  return { key: `${weekYear}-W${pad2(week)}`, start: dayKeyOfUtcMs(t - dow * DAY_MS) };
+}
+
+/**
+ * 运动员所在时区的“今天”，用于计算当前连续天数；未配置时区时用运行环境的时区
+ */
+export function todayKey(timeZone) {
+  return toLocalIso(new Date(), { timeZone: timeZone || undefined }).slice(0, 10);
+}
+
+/**
+ * 某一年的所有日历日，按 UTC 计算（避免夏令时导致某天重复或缺失）
+ * 返回 [{ key: 'YYYY-MM-DD', month: 0-11, dayOfWeek: 0(周日)-6, dayOfYear: 0-365 }]
+ */
+export function calendarDaysOfYear(year) {
+  const days = [];
+  const start = Date.UTC(year, 0, 1);
+  for (let t = start; new Date(t).getUTCFullYear() === year; t += 86400000) {
+    const d = new Date(t);
+    days.push({
+      key: `${year}-${pad2(d.getUTCMonth() + 1)}-${pad2(d.getUTCDate())}`,
+      month: d.getUTCMonth(),
+      dayOfWeek: d.getUTCDay(),
+      dayOfYear: Math.round((t - start) / 86400000),
+    });
+  }
+  return days;
+}
+
+/**
+ * 真实时刻 -> Strava 风格的 start_date_local（当地墙上时间 + Z 后缀）。
+ * 有 utcOffsetS（如 FIT 文件记录的时区偏移）时直接平移，否则按 IANA 时区换算。
+ */
+export function toLocalIso(date, { timeZone, utcOffsetS }) {
+  if (Number.isFinite(utcOffsetS)) return toIsoSeconds(new Date(date.getTime() + utcOffsetS * 1000));
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    })
+      .formatToParts(date)
+      .map((p) => [p.type, p.value]),
+  );
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}Z`;
+}
@@ -0,0 +1,43 @@
+import assert from 'node:assert/strict';
+import { after, test } from 'node:test';
+import { formatDateYmdDot, isoWeekOf, localDayKey, localMonthKey, localYearKey, toLocalIso, todayKey } from './dates.mjs';
+
+// 北京时间 2025-12-31 23:50 的跑步：start_date 是真正的 UTC 时刻，start_date_local 是当地墙上时间
+const NEW_YEARS_EVE = { start_date: '2025-12-31T15:50:00Z', start_date_local: '2025-12-31T23:50:00Z' };
+
+// 结果不能随运行脚本机器的时区变化（Node 在修改 process.env.TZ 后会立即切换时区）
+const MACHINE_ZONES = ['UTC', 'Asia/Shanghai'];
+const originalTz = process.env.TZ;
+
+after(() => {
+  if (originalTz === undefined) delete process.env.TZ;
+  else process.env.TZ = originalTz;
+});
+
+for (const zone of MACHINE_ZONES) {
+  test(`local day / month / year keys stay on the athlete's calendar (TZ=${zone})`, () => {
+    process.env.TZ = zone;
+    assert.equal(localDayKey(NEW_YEARS_EVE), '2025-12-31');
+    assert.equal(localMonthKey(NEW_YEARS_EVE), '2025-12');
+    assert.equal(localYearKey(NEW_YEARS_EVE), '2025');
+    assert.equal(formatDateYmdDot(NEW_YEARS_EVE.start_date_local), '2025.12.31');
+  });
+
+  test(`todayKey and toLocalIso roll over the year in the athlete's time zone (TZ=${zone})`, (t) => {
+    process.env.TZ = zone;
+    const instant = new Date('2025-12-31T16:30:00Z'); // 北京时间 2026-01-01 00:30
+    t.mock.timers.enable({ apis: ['Date'], now: instant });
+    assert.equal(todayKey('Asia/Shanghai'), '2026-01-01');
+    assert.equal(todayKey('UTC'), '2025-12-31');
+    // 未配置时区时按机器时区
+    assert.equal(todayKey(), zone === 'UTC' ? '2025-12-31' : '2026-01-01');
+    assert.equal(toLocalIso(instant, { timeZone: 'Asia/Shanghai' }), '2026-01-01T00:30:00Z');
+    assert.equal(toLocalIso(instant, { timeZone: 'UTC' }), '2025-12-31T16:30:00Z');
+    assert.equal(toLocalIso(instant, { utcOffsetS: 8 * 3600 }), '2026-01-01T00:30:00Z');
+  });
+}
+
+test('isoWeekOf puts 2026-01-01 in week 1 starting on the previous Monday', () => {
+  assert.deepEqual(isoWeekOf('2026-01-01'), { key: '2026-W01', start: '2025-12-29' });
+  assert.deepEqual(isoWeekOf('2025-12-28'), { key: '2025-W52', start: '2025-12-22' });
+});
@@ -0,0 +1,114 @@
+/**
+ * 装备（跑鞋 / 自行车）里程统计
+ *
+ * Strava 活动带 gear_id（跑鞋以 g 开头、自行车以 b 开头），装备详情（名称、品牌、Strava 记录的总里程、是否退役）
+ * 由同步脚本按需拉取并缓存在 gear.json；这里把两者合并成 sports-stats.json 的 gear 列表。
+ */
+import { formatDateYmdDot, localDayKey } from './dates.mjs';
+
+export const GEAR_TYPES = {
+  shoes: { label: '跑鞋', prefix: 'g' },
+  bike: { label: '自行车', prefix: 'b' },
+};
+
+export function gearTypeOf(gearId) {
+  const id = `${gearId ?? ''}`;
+  for (const [type, t] of Object.entries(GEAR_TYPES)) if (id.startsWith(t.prefix)) return type;
+  return null;
+}
+
+/**
+ * Strava /gear/:id 响应 -> gear.json 里的缓存记录
+ */
+export function minimizeGear(g) {
+  return {
+    id: g.id,
+    name: g.name ?? null,
+    brand_name: g.brand_name ?? null,
+    model_name: g.model_name ?? null,
+    distance_m: g.distance ?? null,
+    retired: g.retired ?? false,
+    primary: g.primary ?? false,
+  };
+}
+
+function round(n, digits) {
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+}
+
+/**
+ * 退役里程：config.gear.items[id].retireKm 优先，其次按类型的 config.gear.retireKm；为 null 表示不提醒
+ */
+function retireKmOf(id, type, gearConfig) {
+  const item = gearConfig.items?.[id];
+  if (item && item.retireKm !== undefined) return Number(item.retireKm) > 0 ? Number(item.retireKm) : null;
+  const byType = gearConfig.retireKm?.[type];
+  return Number(byType) > 0 ? Number(byType) : null;
+}
+
+/**
+ * 活动 + 装备详情 -> 装备统计列表（在用的排前面，再按最近使用时间倒序）
+ *
+ * - distanceKm：优先用 Strava 记录的装备总里程（包含手动设置的初始里程、缓存之外的旧活动），没有时按活动累加
+ * - warning：达到退役里程的 warnRatio 时为 'near'，超过退役里程时为 'over'；已退役的装备不提醒
+ */
+export function computeGearStats(activities, details = {}, gearConfig = {}) {
+  const warnRatio = Number(gearConfig.warnRatio) > 0 ? Number(gearConfig.warnRatio) : 0.9;
+  const byId = new Map();
+  for (const a of activities) {
+    if (!a?.gear_id) continue;
+    const day = localDayKey(a);
+    const g = byId.get(a.gear_id) || { distanceM: 0, count: 0, first: null, last: null };
+    g.distanceM += Number(a.distance_m) || 0;
+    g.count += 1;
+    if (day && (!g.first || day < g.first.day)) g.first = { day, a };
+    if (day && (!g.last || day > g.last.day)) g.last = { day, a };
+    byId.set(a.gear_id, g);
+  }
+
+  const out = [];
+  for (const id of new Set([...byId.keys(), ...Object.keys(details)])) {
+    const type = gearTypeOf(id);
+    const item = gearConfig.items?.[id] ?? {};
+    if (!type || item.hidden) continue;
+    const used = byId.get(id) || { distanceM: 0, count: 0, first: null, last: null };
+    const d = details[id] ?? {};
+    // 没用过、Strava 上也查不到详情的装备不展示
+    if (used.count === 0 && !d.name) continue;
+    const activityKm = used.distanceM / 1000;
+    const distanceKm = Number(d.distance_m) > 0 ? Number(d.distance_m) / 1000 : activityKm;
+    const retireKm = retireKmOf(id, type, gearConfig);
+    const retired = Boolean(d.retired || item.retired);
+    let warning = null;
+    if (retireKm && !retired) {
+      if (distanceKm >= retireKm) warning = 'over';
+      else if (distanceKm >= retireKm * warnRatio) warning = 'near';
+    }
+    out.push({
+      id,
+      type,
+      name: item.label || d.name || [d.brand_name, d.model_name].filter(Boolean).join(' ') || id,
+      brand: d.brand_name ?? null,
+      model: d.model_name ?? null,
+      distanceKm: round(distanceKm, 1),
+      activityDistanceKm: round(activityKm, 1),
+      count: used.count,
+      firstUse: used.first ? formatDateYmdDot(used.first.day) : null,
+      lastUse: used.last ? formatDateYmdDot(used.last.day) : null,
+      lastUseDay: used.last?.day ?? null,
+      primary: Boolean(d.primary),
+      retired,
+      retireKm,
+      remainingKm: retireKm ? round(Math.max(0, retireKm - distanceKm), 1) : null,
+      warning,
+    });
+  }
+
+  return out
+    .sort((a, b) => {
+      if (a.retired !== b.retired) return a.retired ? 1 : -1;
+      return (b.lastUseDay ?? '').localeCompare(a.lastUseDay ?? '');
+    })
+    .map(({ lastUseDay, ...g }) => g);
+}
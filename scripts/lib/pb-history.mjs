@@ -0,0 +1,77 @@
+/**
+ * 个人纪录历史（pb-history.json）：PB 卡片只展示当前纪录，刷新纪录时旧值会被覆盖，
+ * 这里把每一次刷新都按时间顺序记下来，并为新纪录生成碎碎念草稿
+ *
+ * 结构：
+ * {
+ *   "schemaVersion": 1,
+ *   "records": {
+ *     "running.best5k": [
+ *       { "label": "5K PB", "value": "27:31", "unit": "min", "timeSec": 1651, "distanceKm": 5,
+ *         "date": "2025.10.01", "activityId": 123, "href": "https://...", "recordedAt": "2026-01-03T04:58:50.504Z" }
+ *     ],
+ *     "cycling.farthest": [ ... ]
+ *   }
+ * }
+ *
+ * 每个列表按时间正序，最后一条为当前纪录。用时类纪录（kind: time）越短越好，距离类（kind: distance）越远越好。
+ */
+
+const RECORD_FIELDS = ['label', 'value', 'unit', 'timeSec', 'distanceKm', 'date', 'activityId', 'href'];
+
+export function recordKey(record) {
+  return `${record.category}.${record.key}`;
+}
+
+function isBetter(record, prev) {
+  if (record.kind === 'time') return record.timeSec > 0 && (!(prev.timeSec > 0) || record.timeSec < prev.timeSec);
+  return record.distanceKm > 0 && record.distanceKm > (Number(prev.distanceKm) || 0);
+}
+
+/**
+ * 用本次同步算出的纪录更新历史。records 为 computeSportsStats 给出的当前纪录列表：
+ * { category, key, kind: 'time' | 'distance', label, value, unit, timeSec, distanceKm, date, activityId, href }
+ *
+ * 某项还没有历史时只记下当前值（首次同步 / 新增 PB 距离），不算刷新纪录。
+ * 返回 { history, improved: [{ record, previous }] }，history 为新对象
+ */
+export function updatePbHistory(history, records, { now = new Date() } = {}) {
+  const out = { ...history, records: { ...history?.records } };
+  const improved = [];
+  for (const record of records) {
+    const key = recordKey(record);
+    const list = out.records[key] ?? [];
+    const previous = list[list.length - 1] ?? null;
+    if (previous && !isBetter(record, previous)) continue;
+    const entry = Object.fromEntries(RECORD_FIELDS.map((f) => [f, record[f] ?? null]));
+    entry.recordedAt = now.toISOString();
+    out.records[key] = [...list, entry];
+    if (previous) improved.push({ record, previous });
+  }
+  return { history: out, improved };
+}
+
+function formatValue(r) {
+  return `${r.value}${r.unit ? ` ${r.unit}` : ''}`;
+}
+
+/**
+ * 新纪录的碎碎念草稿（gossips 集合的 frontmatter，draft: true，审阅后手动发布）。
+ * 返回 { fileName, content }；日期取纪录所在活动的日期
+ */
+export function pbGossipDraft({ record, previous }, { tag } = {}) {
+  const day = (record.date || '').replace(/\./g, '-') || new Date().toISOString().slice(0, 10);
+  const slug = `${day}-pb-${record.category}-${record.key}`.toLowerCase().replace(/[^a-z0-9-]+/g, '-');
+  const lines = [
+    '---',
+    `pubDate: ${day}`,
+    ...(tag ? [`tag: ${tag}`] : []),
+    `slug: ${slug}`,
+    'draft: true',
+    '---',
+    '',
+    `新纪录！${record.label}：${formatValue(record)}（之前是 ${formatValue(previous)}${previous.date ? `，${previous.date}` : ''}）。`,
+  ];
+  if (record.href) lines.push('', `[Strava 活动](${record.href})`);
+  return { fileName: `${slug}.md`, content: `${lines.join('\n')}\n` };
+}
@@ -0,0 +1,107 @@
+/**
+ * Google Encoded Polyline（Strava map.summary_polyline 使用的格式）的编码 / 解码，
+ * 以及路线渲染用的投影、裁剪等几何工具。
+ */
+
+const EARTH_RADIUS_M = 6371000;
+
+/**
+ * "_p~iF~ps|U_ulLnnqC" -> [[lat, lng], ...]
+ */
+export function decodePolyline(str, precision = 5) {
+  const factor = 10 ** precision;
+  const points = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+  const next = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      if (index >= str.length) throw new Error('Invalid polyline: unexpected end of input');
+      byte = str.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+  while (index < str.length) {
+    lat += next();
+    lng += next();
+    points.push([lat / factor, lng / factor]);
+  }
+  return points;
+}
+
+function encodeValue(v) {
+  let n = v < 0 ? ~(v << 1) : v << 1;
+  let out = '';
+  while (n >= 0x20) {
+    out += String.fromCharCode((0x20 | (n & 0x1f)) + 63);
+    n >>= 5;
+  }
+  return out + String.fromCharCode(n + 63);
+}
+
+/**
+ * [[lat, lng], ...] -> 编码字符串
+ */
+export function encodePolyline(points, precision = 5) {
+  const factor = 10 ** precision;
+  let prevLat = 0;
+  let prevLng = 0;
+  let out = '';
+  for (const [lat, lng] of points) {
+    const la = Math.round(lat * factor);
+    const ln = Math.round(lng * factor);
+    out += encodeValue(la - prevLat) + encodeValue(ln - prevLng);
+    prevLat = la;
+    prevLng = ln;
+  }
+  return out;
+}
+
+export function distanceM([lat1, lng1], [lat2, lng2]) {
+  const toRad = (d) => (d * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * 按最小间距抽稀（保留首尾点），本地导入的轨迹用它压到与 summary_polyline 相近的精度
+ */
+export function thinByDistance(points, minGapM) {
+  if (points.length <= 2) return points.slice();
+  const out = [points[0]];
+  for (let i = 1; i < points.length - 1; i++) {
+    if (distanceM(out[out.length - 1], points[i]) >= minGapM) out.push(points[i]);
+  }
+  out.push(points[points.length - 1]);
+  return out;
+}
+
+/**
+ * 隐私：去掉起点 / 终点附近 radiusM 以内的点，避免公开家门口的位置
+ */
+export function trimEnds(points, radiusM) {
+  if (!(radiusM > 0) || points.length === 0) return points;
+  const start = points[0];
+  const end = points[points.length - 1];
+  let from = 0;
+  while (from < points.length && distanceM(start, points[from]) < radiusM) from += 1;
+  let to = points.length - 1;
+  while (to >= from && distanceM(end, points[to]) < radiusM) to -= 1;
+  return points.slice(from, to + 1);
+}
+
+/**
+ * Web Mercator 投影到单位平面（x、y 均在 0~1，y 向下）
+ */
+export function project([lat, lng]) {
+  const clamped = Math.max(-85, Math.min(85, lat));
+  const s = Math.sin((clamped * Math.PI) / 180);
+  return [(lng + 180) / 360, 0.5 - Math.log((1 + s) / (1 - s)) / (4 * Math.PI)];
+}
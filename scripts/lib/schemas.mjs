@@ -0,0 +1,204 @@
+/**
+ * Strava 数据文件的版本、迁移与校验
+ *
+ * 每个文件带 schemaVersion；读取时先按版本依次迁移到当前版本，再做结构校验，
+ * 发现损坏或版本比脚本更新时直接报错，而不是当作空数据继续（否则下一次写入会把缓存清空）。
+ *
+ * 版本记录：
+ * - activities 1：活动记录的裸数组
+ * - activities 2：{ schemaVersion, activities }；记录新增 gear_id、summary_polyline
+ *   （旧记录里缺少这两个字段表示“还不知道”，对账时从 Strava 列表数据补齐）
+ * - state 1：lastSyncEpoch / updatedAt / lastReconciledAt / pageCursor / detailPendingIds
+ * - baseline 1：没有 schemaVersion，可能是 totalDistanceKm 的旧格式；2：periods 格式（见 baseline.mjs）
+ * - stats 1：sports-stats.json（同步脚本的输出），结构见 src/utils/sportsStats.ts
+ * - pbHistory 1：pb-history.json（见 pb-history.mjs）
+ */
+
+export const SCHEMA_VERSIONS = {
+  activities: 2,
+  state: 1,
+  baseline: 2,
+  stats: 1,
+  pbHistory: 1,
+};
+
+// 报错时最多列出的问题数
+const MAX_PROBLEMS = 20;
+
+function isObject(v) {
+  return v != null && typeof v === 'object' && !Array.isArray(v);
+}
+
+function fail(name, problems) {
+  const shown = problems.slice(0, MAX_PROBLEMS).map((p) => `  - ${p}`);
+  if (problems.length > MAX_PROBLEMS) shown.push(`  - ... and ${problems.length - MAX_PROBLEMS} more`);
+  throw new Error(`${name} is invalid:\n${shown.join('\n')}`);
+}
+
+/**
+ * 取文件的 schemaVersion：没有时视为 legacyVersion；比当前版本新时报错（需要先升级脚本）
+ */
+function versionOf(name, data, kind, legacyVersion = 1) {
+  const version = isObject(data) && data.schemaVersion !== undefined ? data.schemaVersion : legacyVersion;
+  if (!Number.isInteger(version) || version < 1) fail(name, [`schemaVersion: expected a positive integer, got ${JSON.stringify(version)}`]);
+  if (version > SCHEMA_VERSIONS[kind]) {
+    fail(name, [`schemaVersion ${version} is newer than supported (${SCHEMA_VERSIONS[kind]}), update the scripts first`]);
+  }
+  return version;
+}
+
+const isNumOrNull = (v) => v === null || (typeof v === 'number' && Number.isFinite(v));
+const isStrOrNull = (v) => v === null || typeof v === 'string';
+
+// 活动记录里可选字段的类型（undefined 一律允许）
+const ACTIVITY_FIELD_CHECKS = {
+  distance_m: isNumOrNull,
+  moving_time_s: isNumOrNull,
+  elapsed_time_s: isNumOrNull,
+  total_elevation_gain_m: isNumOrNull,
+  average_heartrate: isNumOrNull,
+  average_watts: isNumOrNull,
+  name: isStrOrNull,
+  gear_id: isStrOrNull,
+  summary_polyline: isStrOrNull,
+  detail_attempted: (v) => typeof v === 'boolean',
+  best_efforts: (v) => Array.isArray(v),
+  hr_hist_s: (v) => v === null || isObject(v),
+  power_hist_s: (v) => v === null || isObject(v),
+  hr_hist_bin: (v) => typeof v === 'number' && v > 0,
+  power_hist_bin: (v) => typeof v === 'number' && v > 0,
+};
+
+/**
+ * activities.min.json -> 活动数组（旧版本先迁移）；返回 { activities, migrated }
+ */
+export function loadActivities(raw, name = 'activities.min.json') {
+  const version = Array.isArray(raw) ? 1 : versionOf(name, raw, 'activities');
+  let activities;
+  if (version === 1) {
+    if (!Array.isArray(raw)) fail(name, ['expected an array of activities (schema v1)']);
+    activities = raw;
+  } else {
+    if (!isObject(raw) || !Array.isArray(raw.activities)) fail(name, ['activities: must be an array']);
+    activities = raw.activities;
+  }
+
+  const problems = [];
+  const ids = new Set();
+  activities.forEach((a, i) => {
+    const where = `activities[${i}]`;
+    if (!isObject(a)) {
+      problems.push(`${where}: must be an object`);
+      return;
+    }
+    if (typeof a.id !== 'number' && typeof a.id !== 'string') problems.push(`${where}.id: must be a number or string`);
+    else if (ids.has(a.id)) problems.push(`${where}.id: duplicate id ${a.id}`);
+    ids.add(a.id);
+    if (typeof a.sport_type !== 'string' || !a.sport_type) problems.push(`${where}.sport_type: must be a non-empty string`);
+    if (typeof a.start_date !== 'string' || Number.isNaN(new Date(a.start_date).getTime())) {
+      problems.push(`${where}.start_date: must be an ISO date string`);
+    }
+    for (const [field, check] of Object.entries(ACTIVITY_FIELD_CHECKS)) {
+      if (a[field] !== undefined && !check(a[field])) problems.push(`${where}.${field}: unexpected value ${JSON.stringify(a[field]).slice(0, 40)}`);
+    }
+  });
+  if (problems.length > 0) fail(name, problems);
+  return { activities, migrated: version !== SCHEMA_VERSIONS.activities };
+}
+
+export function serializeActivities(activities) {
+  return { schemaVersion: SCHEMA_VERSIONS.activities, activities };
+}
+
+/**
+ * state.json -> 同步状态；返回 { state, migrated }
+ */
+export function loadState(raw, name = 'state.json') {
+  if (!isObject(raw)) fail(name, ['expected a JSON object']);
+  const version = versionOf(name, raw, 'state');
+  const { schemaVersion, ...state } = raw;
+  const problems = [];
+  if (!(typeof state.lastSyncEpoch === 'number' && state.lastSyncEpoch >= 0)) problems.push('lastSyncEpoch: must be a non-negative number');
+  for (const k of ['updatedAt', 'lastReconciledAt']) {
+    if (state[k] != null && Number.isNaN(new Date(state[k]).getTime())) problems.push(`${k}: must be an ISO date string`);
+  }
+  if (state.pageCursor != null) {
+    const c = state.pageCursor;
+    if (!isObject(c) || !(c.afterEpoch >= 0) || !(Number.isInteger(c.page) && c.page >= 1)) {
+      problems.push('pageCursor: expected { afterEpoch: number, page: integer }');
+    }
+  }
+  if (state.detailPendingIds != null && !Array.isArray(state.detailPendingIds)) problems.push('detailPendingIds: must be an array');
+  if (problems.length > 0) fail(name, problems);
+  return { state, migrated: version !== SCHEMA_VERSIONS.state };
+}
+
+export function serializeState(state) {
+  return { schemaVersion: SCHEMA_VERSIONS.state, ...state };
+}
+
+/**
+ * baseline.json 的版本迁移（字段校验在 baseline.mjs 的 normalizeBaseline）。
+ * migrateSport 为 v1 -> v2 的单个分类迁移函数；返回 { data, migrated }，data 仍是 baseline.json 的原始格式
+ */
+export function migrateBaseline(raw, migrateSport, name = 'baseline.json') {
+  if (!isObject(raw)) fail(name, ['expected a JSON object']);
+  const version = versionOf(name, raw, 'baseline');
+  const { schemaVersion, ...sports } = raw;
+  if (version >= SCHEMA_VERSIONS.baseline) return { data: sports, migrated: false };
+  const problems = [];
+  const data = Object.fromEntries(
+    Object.entries(sports).map(([sport, v]) => [sport, isObject(v) ? migrateSport(sport, v, problems) : v]),
+  );
+  if (problems.length > 0) fail(name, problems);
+  return { data, migrated: true };
+}
+
+export function serializeBaseline(data) {
+  return { schemaVersion: SCHEMA_VERSIONS.baseline, ...data };
+}
+
+/**
+ * pb-history.json -> { schemaVersion, records }；返回 { history, migrated }
+ */
+export function loadPbHistory(raw, name = 'pb-history.json') {
+  if (!isObject(raw)) fail(name, ['expected a JSON object']);
+  const version = versionOf(name, raw, 'pbHistory');
+  const problems = [];
+  if (!isObject(raw.records)) problems.push('records: must be an object');
+  for (const [key, list] of Object.entries(raw.records || {})) {
+    if (!Array.isArray(list)) {
+      problems.push(`records.${key}: must be an array`);
+      continue;
+    }
+    list.forEach((r, i) => {
+      const where = `records.${key}[${i}]`;
+      if (!isObject(r)) problems.push(`${where}: must be an object`);
+      else if (!isNumOrNull(r.timeSec) || !isNumOrNull(r.distanceKm)) problems.push(`${where}: timeSec / distanceKm must be numbers or null`);
+      else if (!isStrOrNull(r.date)) problems.push(`${where}.date: must be a string or null`);
+    });
+  }
+  if (problems.length > 0) fail(name, problems);
+  return { history: { schemaVersion: SCHEMA_VERSIONS.pbHistory, records: raw.records }, migrated: version !== SCHEMA_VERSIONS.pbHistory };
+}
+
+/**
+ * 写出前检查 sports-stats.json 的基本结构，避免页面在构建时才发现字段缺失
+ */
+export function validateStats(stats, name = 'sports-stats.json') {
+  const problems = [];
+  if (stats.schemaVersion !== SCHEMA_VERSIONS.stats) problems.push(`schemaVersion: expected ${SCHEMA_VERSIONS.stats}`);
+  if (!Array.isArray(stats.categories)) problems.push('categories: must be an array');
+  for (const { key } of stats.categories || []) {
+    const s = stats[key];
+    if (!isObject(s)) {
+      problems.push(`${key}: missing category section`);
+      continue;
+    }
+    if (!isObject(s.cards) || !isObject(s.cards.totalTime)) problems.push(`${key}.cards.totalTime: missing`);
+    if (!isObject(s.years)) problems.push(`${key}.years: must be an object`);
+    if (!Array.isArray(s.monthly)) problems.push(`${key}.monthly: must be an array`);
+  }
+  if (problems.length > 0) fail(name, problems);
+  return stats;
+}
@@ -0,0 +1,145 @@
+/**
+ * 运动类型注册表：Strava sport_type -> 统计分类（跑步 / 骑行 / 游泳 ...）
+ *
+ * 每个分类：
+ * - label：展示名称
+ * - sportTypes：归入该分类的 Strava sport_type
+ * - unit：距离展示单位，'km' | 'm'；null 表示不统计距离（如力量训练）
+ * - paceFormat：配速 / 速度的展示方式，见 PACE_FORMATS
+ * - statsKey：Strava athlete stats 里对应的总计字段（可选，用于总计口径）
+ * - enabled：是否生成统计
+ *
+ * config.json 的 sports 字段可以按 key 覆盖默认分类的任意字段，或新增分类。
+ */
+
+export const DEFAULT_SPORT_CATEGORIES = {
+  running: {
+    label: '跑步',
+    sportTypes: ['Run', 'TrailRun', 'VirtualRun', 'Treadmill'],
+    unit: 'km',
+    paceFormat: 'pace',
+    statsKey: 'all_run_totals',
+    enabled: true,
+  },
+  cycling: {
+    label: '骑行',
+    sportTypes: ['Ride', 'VirtualRide', 'EBikeRide', 'GravelRide', 'MountainBikeRide', 'EMountainBikeRide'],
+    unit: 'km',
+    paceFormat: 'speed',
+    statsKey: 'all_ride_totals',
+    enabled: true,
+  },
+  swimming: {
+    label: '游泳',
+    sportTypes: ['Swim'],
+    unit: 'm',
+    paceFormat: 'pace100m',
+    statsKey: 'all_swim_totals',
+    enabled: true,
+  },
+  hiking: {
+    label: '徒步',
+    sportTypes: ['Hike', 'Walk'],
+    unit: 'km',
+    paceFormat: 'pace',
+    enabled: true,
+  },
+  rowing: {
+    label: '划船',
+    sportTypes: ['Rowing', 'VirtualRow', 'Kayaking', 'Canoeing', 'StandUpPaddling'],
+    unit: 'km',
+    paceFormat: 'pace500m',
+    enabled: true,
+  },
+  strength: {
+    label: '力量训练',
+    sportTypes: ['WeightTraining', 'Workout', 'Crossfit', 'HighIntensityIntervalTraining', 'Yoga', 'Pilates'],
+    unit: null,
+    paceFormat: 'none',
+    enabled: true,
+  },
+};
+
+// 配速按多少米计（pace 类），速度按 km/h（speed）
+const PACE_FORMATS = {
+  pace: { perMeters: 1000, suffix: '/km' },
+  pace100m: { perMeters: 100, suffix: '/100m' },
+  pace500m: { perMeters: 500, suffix: '/500m' },
+  speed: null,
+  none: null,
+};
+
+// sports-stats.json 顶层保留字段，不能用作分类 key
+const RESERVED_KEYS = ['schemaVersion', 'generatedAt', 'categories', 'overall', 'gear'];
+
+export function asSportType(a) {
+  return (a?.sport_type || a?.type || '').toString();
+}
+
+/**
+ * 合并默认分类与 config.sports，校验后返回注册表
+ */
+export function buildSportRegistry(configSports = {}) {
+  const errors = [];
+  const merged = { ...DEFAULT_SPORT_CATEGORIES };
+  for (const [key, override] of Object.entries(configSports || {})) {
+    merged[key] = { ...(DEFAULT_SPORT_CATEGORIES[key] || { enabled: true, paceFormat: 'none', unit: null }), ...override };
+  }
+
+  const categories = [];
+  const byType = new Map();
+  for (const [key, c] of Object.entries(merged)) {
+    if (RESERVED_KEYS.includes(key)) errors.push(`sports.${key}: reserved key`);
+    if (!Array.isArray(c.sportTypes) || c.sportTypes.length === 0) errors.push(`sports.${key}.sportTypes: must be a non-empty array`);
+    if (!(c.paceFormat in PACE_FORMATS)) errors.push(`sports.${key}.paceFormat: expected one of ${Object.keys(PACE_FORMATS).join(', ')}`);
+    if (c.unit != null && c.unit !== 'km' && c.unit !== 'm') errors.push(`sports.${key}.unit: expected "km", "m" or null`);
+    if (c.enabled === false) continue;
+    for (const t of c.sportTypes || []) {
+      if (byType.has(t)) errors.push(`sports.${key}.sportTypes: "${t}" is already mapped to "${byType.get(t)}"`);
+      else byType.set(t, key);
+    }
+    categories.push({
+      key,
+      label: c.label || key,
+      sportTypes: c.sportTypes || [],
+      unit: c.unit ?? null,
+      paceFormat: c.paceFormat,
+      statsKey: c.statsKey ?? null,
+    });
+  }
+  if (errors.length > 0) throw new Error(`config.json sports is invalid:\n${errors.map((e) => `  - ${e}`).join('\n')}`);
+
+  return {
+    categories,
+    get: (key) => categories.find((c) => c.key === key) ?? null,
+    // 未注册或已禁用的类型返回 null
+    categoryOf: (a) => byType.get(asSportType(a)) ?? null,
+  };
+}
+
+function pad2(n) {
+  return n < 10 ? `0${n}` : `${n}`;
+}
+
+/**
+ * 按分类的 paceFormat 生成平均配速 / 速度文案，如 "6'05''/km"、"25.3 km/h"、"2'10''/100m"
+ */
+export function formatPaceOrSpeed(distanceKm, timeHours, paceFormat) {
+  if (!(distanceKm > 0) || !(timeHours > 0)) return null;
+  if (paceFormat === 'speed') {
+    const kmh = distanceKm / timeHours;
+    return `${kmh.toFixed(1).replace(/\.0$/, '')} km/h`;
+  }
+  const fmt = PACE_FORMATS[paceFormat];
+  if (!fmt) return null;
+  const total = Math.round((timeHours * 3600) / ((distanceKm * 1000) / fmt.perMeters));
+  return `${Math.floor(total / 60)}'${pad2(total % 60)}''${fmt.suffix}`;
+}
+
+/**
+ * 以分类的展示单位格式化距离（km 保留两位小数，m 取整）
+ */
+export function distanceInUnit(distanceKm, unit) {
+  if (unit === 'm') return Math.round(distanceKm * 1000);
+  return distanceKm;
+}
@@ -0,0 +1,159 @@
+/**
+ * 判断一次同步是否产生了“有意义”的数据变化，并生成可读的变更报告
+ *
+ * 只比较 Strava 数据文件；时间戳类字段（generatedAt / updatedAt / fetchedAt ...）每次同步都会变，比较前先去掉。
+ * lastReconciledAt 例外：它决定下一次核对的时间，不提交的话每次定时同步都会重新核对近 90 天。
+ * schemaVersion 与文件格式（如 activities 从裸数组升级为带版本的对象）的变化也不算数据变化。
+ * 纯函数，不读写文件：调用方传入同步前（git HEAD）和同步后的数据。
+ */
+
+// 参与比较的数据文件（相对仓库根目录）
+export const STRAVA_DATA_FILES = {
+  stats: 'src/data/sports-stats.json',
+  state: 'src/data/strava/state.json',
+  activities: 'src/data/strava/activities.min.json',
+  baseline: 'src/data/strava/baseline.json',
+  gear: 'src/data/strava/gear.json',
+  pbHistory: 'src/data/strava/pb-history.json',
+};
+
+/**
+ * activities.min.json 的活动数组（兼容 v1 的裸数组，见 schemas.mjs）
+ */
+export function activityList(data) {
+  if (Array.isArray(data)) return data;
+  return Array.isArray(data?.activities) ? data.activities : [];
+}
+
+/**
+ * 去掉不代表数据变化的字段，返回新对象
+ */
+export function stripVolatile(file, data) {
+  if (!data || typeof data !== 'object') return data;
+  if (file === STRAVA_DATA_FILES.activities) return activityList(data);
+  if (file === STRAVA_DATA_FILES.stats) {
+    const { schemaVersion, generatedAt, ...rest } = data;
+    return rest;
+  }
+  if (file === STRAVA_DATA_FILES.state) {
+    const { schemaVersion, updatedAt, ...rest } = data;
+    return rest;
+  }
+  if (file === STRAVA_DATA_FILES.baseline) {
+    const { schemaVersion, ...rest } = data;
+    return rest;
+  }
+  if (file === STRAVA_DATA_FILES.gear) {
+    return Object.fromEntries(Object.entries(data).map(([id, { fetchedAt, ...g }]) => [id, g]));
+  }
+  return data;
+}
+
+function sameJson(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * 按 id 对比活动缓存：新增、删除、字段有变化的活动
+ */
+export function diffActivities(prev = [], cur = []) {
+  const prevById = new Map((prev || []).filter((a) => a?.id != null).map((a) => [a.id, a]));
+  const added = [];
+  const changed = [];
+  for (const a of cur || []) {
+    if (a?.id == null) continue;
+    const before = prevById.get(a.id);
+    prevById.delete(a.id);
+    if (!before) {
+      added.push(a);
+      continue;
+    }
+    const fields = [...new Set([...Object.keys(before), ...Object.keys(a)])].filter((k) => !sameJson(before[k], a[k]));
+    if (fields.length > 0) changed.push({ before, after: a, fields });
+  }
+  return { added, removed: [...prevById.values()], changed };
+}
+
+/**
+ * 各分类总计卡片（总里程 / 总时长 / 累计次数）的变化
+ */
+export function diffTotals(prev = {}, cur = {}) {
+  const out = [];
+  for (const { key, label } of cur?.categories || []) {
+    for (const card of ['totalDistance', 'totalTime', 'totalCount']) {
+      const after = cur[key]?.cards?.[card];
+      const before = prev?.[key]?.cards?.[card];
+      if (!after || before?.value === after.value) continue;
+      out.push({ category: key, label: label ?? key, card: after.label, unit: after.unit ?? '', before: before?.value ?? null, after: after.value });
+    }
+  }
+  return out;
+}
+
+/**
+ * 新的跑步 PB：之前没有成绩，或用时变短
+ */
+export function diffPbs(prev = {}, cur = {}) {
+  const out = [];
+  for (const [key, pb] of Object.entries(cur?.running?.pbs || {})) {
+    const before = prev?.running?.pbs?.[key];
+    if (!(pb?.timeSec > 0)) continue;
+    if (before?.timeSec > 0 && pb.timeSec >= before.timeSec) continue;
+    out.push({ key, label: pb.label, before: before?.timeSec > 0 ? before.value : null, after: pb.value, date: pb.date, href: pb.href });
+  }
+  return out;
+}
+
+/**
+ * prev / cur：{ [文件路径]: 解析后的 JSON | null }（null 表示文件不存在）
+ * 返回 { meaningful, files, activities, totals, pbs, reconciledAt }
+ */
+export function detectChanges({ prev, cur }) {
+  const files = Object.values(STRAVA_DATA_FILES).filter((file) => {
+    const before = prev[file] ?? null;
+    const after = cur[file] ?? null;
+    if (before == null && after == null) return false;
+    return !sameJson(stripVolatile(file, before), stripVolatile(file, after));
+  });
+  const stats = STRAVA_DATA_FILES.stats;
+  const reconciledAt = cur[STRAVA_DATA_FILES.state]?.lastReconciledAt ?? null;
+  return {
+    meaningful: files.length > 0,
+    files,
+    activities: diffActivities(activityList(prev[STRAVA_DATA_FILES.activities]), activityList(cur[STRAVA_DATA_FILES.activities])),
+    totals: diffTotals(prev[stats], cur[stats]),
+    pbs: diffPbs(prev[stats], cur[stats]),
+    reconciledAt: reconciledAt !== (prev[STRAVA_DATA_FILES.state]?.lastReconciledAt ?? null) ? reconciledAt : null,
+  };
+}
+
+function describeActivity(a) {
+  const date = (a.start_date_local || a.start_date || '').slice(0, 10);
+  const km = ((Number(a.distance_m) || 0) / 1000).toFixed(2);
+  return `${date} ${a.sport_type ?? ''} ${km} km「${a.name ?? a.id}」`.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * 变更报告（纯文本，可直接作为提交说明的正文）
+ */
+export function formatReport(changes, { maxItems = 20 } = {}) {
+  if (!changes.meaningful) return 'No meaningful Strava data changes.';
+  const lines = [];
+  const list = (title, items, fmt) => {
+    if (items.length === 0) return;
+    lines.push(`${title} (${items.length}):`);
+    for (const item of items.slice(0, maxItems)) lines.push(`- ${fmt(item)}`);
+    if (items.length > maxItems) lines.push(`- ... and ${items.length - maxItems} more`);
+    lines.push('');
+  };
+
+  const { added, removed, changed } = changes.activities;
+  list('New activities', added, describeActivity);
+  list('Removed activities', removed, describeActivity);
+  list('Updated activities', changed, ({ after, fields }) => `${describeActivity(after)}: ${fields.join(', ')}`);
+  list('New PBs', changes.pbs, (pb) => `${pb.label}: ${pb.before ?? '--'} -> ${pb.after}${pb.date ? ` @${pb.date}` : ''}`);
+  list('Totals', changes.totals, (t) => `${t.label} ${t.card}: ${t.before ?? '--'} -> ${t.after}${t.unit ? ` ${t.unit}` : ''}`);
+  if (changes.reconciledAt) lines.push(`Reconciled recent activities at ${changes.reconciledAt}`, '');
+  list('Changed files', changes.files, (f) => f);
+  return lines.join('\n').trimEnd();
+}
@@ -0,0 +1,110 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { STRAVA_DATA_FILES, detectChanges, formatReport } from './strava-changes.mjs';
+
+const RUN = {
+  id: 101,
+  sport_type: 'Run',
+  name: '晨跑',
+  start_date: '2025-06-01T22:00:00Z',
+  start_date_local: '2025-06-02T06:00:00Z',
+  distance_m: 5000,
+  moving_time_s: 1650,
+};
+const RIDE = { ...RUN, id: 102, sport_type: 'Ride', name: '通勤', distance_m: 12000, moving_time_s: 2400 };
+
+function stats({ generatedAt = '2025-06-02T00:00:00Z', distance = '5', best5k } = {}) {
+  return {
+    schemaVersion: 1,
+    generatedAt,
+    categories: [{ key: 'running', label: '跑步' }],
+    running: {
+      cards: { totalDistance: { label: '总跑量(累计)', value: distance, unit: 'km' } },
+      pbs: {
+        best5k: best5k
+          ? { label: '5K', value: best5k.value, timeSec: best5k.timeSec, date: best5k.date, href: null }
+          : { label: '5K', value: '--', timeSec: null, date: null, href: null },
+      },
+    },
+  };
+}
+
+function files({ activities = { schemaVersion: 2, activities: [RUN] }, ...rest } = {}) {
+  return {
+    [STRAVA_DATA_FILES.stats]: stats(rest.stats),
+    [STRAVA_DATA_FILES.state]: { schemaVersion: 1, lastSyncEpoch: 1748815200, updatedAt: '2025-06-02T00:00:00Z', ...rest.state },
+    [STRAVA_DATA_FILES.activities]: activities,
+    [STRAVA_DATA_FILES.gear]: { b1: { name: '公路车', fetchedAt: '2025-06-02T00:00:00Z', ...rest.gear } },
+  };
+}
+
+test('timestamp-only changes are not meaningful', () => {
+  const prev = files();
+  const cur = files({
+    stats: { generatedAt: '2025-06-03T00:00:00Z' },
+    state: { updatedAt: '2025-06-03T00:00:00Z' },
+    gear: { fetchedAt: '2025-06-03T00:00:00Z' },
+  });
+  const changes = detectChanges({ prev, cur });
+  assert.equal(changes.meaningful, false);
+  assert.deepEqual(changes.files, []);
+  assert.equal(formatReport(changes), 'No meaningful Strava data changes.');
+});
+
+test('a new reconcile timestamp is meaningful so the next run does not reconcile again', () => {
+  const prev = files({ state: { lastReconciledAt: '2025-05-27T00:00:00Z' } });
+  const cur = files({ state: { updatedAt: '2025-06-03T00:00:00Z', lastReconciledAt: '2025-06-03T00:00:00Z' } });
+  const changes = detectChanges({ prev, cur });
+  assert.equal(changes.meaningful, true);
+  assert.deepEqual(changes.files, [STRAVA_DATA_FILES.state]);
+  assert.equal(changes.reconciledAt, '2025-06-03T00:00:00Z');
+  assert.equal(
+    formatReport(changes),
+    `Reconciled recent activities at 2025-06-03T00:00:00Z\n\nChanged files (1):\n- ${STRAVA_DATA_FILES.state}`,
+  );
+  assert.equal(detectChanges({ prev: cur, cur }).meaningful, false);
+});
+
+test('upgrading activities from schema v1 to the current version reports no new activities', () => {
+  const changes = detectChanges({
+    prev: files({ activities: [RUN, RIDE] }),
+    cur: files({ activities: { schemaVersion: 2, activities: [RUN, RIDE] } }),
+  });
+  assert.equal(changes.meaningful, false);
+  assert.deepEqual(changes.activities, { added: [], removed: [], changed: [] });
+});
+
+test('new and removed activities are listed', () => {
+  const walk = { ...RUN, id: 103, sport_type: 'Walk', name: '散步', distance_m: 3000 };
+  const changes = detectChanges({
+    prev: files({ activities: { schemaVersion: 2, activities: [RUN, RIDE] } }),
+    cur: files({ activities: { schemaVersion: 2, activities: [RUN, walk] } }),
+  });
+  assert.equal(changes.meaningful, true);
+  assert.deepEqual(changes.files, [STRAVA_DATA_FILES.activities]);
+  assert.deepEqual(changes.activities, { added: [walk], removed: [RIDE], changed: [] });
+  const report = formatReport(changes);
+  assert.match(report, /New activities \(1\):\n- 2025-06-02 Walk 3.00 km「散步」/);
+  assert.match(report, /Removed activities \(1\):\n- 2025-06-02 Ride 12.00 km「通勤」/);
+});
+
+test('a faster PB and the new total are reported', () => {
+  const fast = { ...RUN, id: 104, start_date_local: '2025-06-09T06:00:00Z', moving_time_s: 1500 };
+  const prev = files({ stats: { best5k: { value: '27:30', timeSec: 1650, date: '2025.06.02' } } });
+  const cur = files({
+    activities: { schemaVersion: 2, activities: [RUN, fast] },
+    stats: { distance: '10', best5k: { value: '25:00', timeSec: 1500, date: '2025.06.09' } },
+  });
+  const changes = detectChanges({ prev, cur });
+  assert.deepEqual(changes.pbs, [{ key: 'best5k', label: '5K', before: '27:30', after: '25:00', date: '2025.06.09', href: null }]);
+  assert.deepEqual(changes.totals, [
+    { category: 'running', label: '跑步', card: '总跑量(累计)', unit: 'km', before: '5', after: '10' },
+  ]);
+  assert.match(formatReport(changes), /New PBs \(1\):\n- 5K: 27:30 -> 25:00 @2025.06.09/);
+});
+
+test('a slower run does not count as a PB', () => {
+  const prev = files({ stats: { best5k: { value: '25:00', timeSec: 1500, date: '2025.06.09' } } });
+  const cur = files({ stats: { best5k: { value: '27:30', timeSec: 1650, date: '2025.06.02' } } });
+  assert.deepEqual(detectChanges({ prev, cur }).pbs, []);
+});
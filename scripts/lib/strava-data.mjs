@@ -0,0 +1,258 @@
+/**
+ * Strava 数据文件的路径与读写工具，供同步 / 导入 / 海报等脚本共用
+ */
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { compactBestEfforts } from './best-efforts.mjs';
+import { SCHEMA_VERSIONS, loadActivities, loadPbHistory, loadState, serializeActivities, serializeState } from './schemas.mjs';
+
+export const ROOT = process.cwd();
+
+/**
+ * 数据文件的位置：dir 下与仓库相同的 src/data、src/content/gossips 结构
+ */
+export function dataPaths(dir) {
+  return {
+    baseline: path.join(dir, 'src/data/strava/baseline.json'),
+    config: path.join(dir, 'src/data/strava/config.json'),
+    state: path.join(dir, 'src/data/strava/state.json'),
+    activities: path.join(dir, 'src/data/strava/activities.min.json'),
+    gear: path.join(dir, 'src/data/strava/gear.json'),
+    pbHistory: path.join(dir, 'src/data/strava/pb-history.json'),
+    gossips: path.join(dir, 'src/content/gossips'),
+    outStats: path.join(dir, 'src/data/sports-stats.json'),
+  };
+}
+
+// STRAVA_DATA_DIR 可以把读写的数据目录换成别处（如回放、调试时不想动仓库里的文件），缺省为仓库根目录
+export const DATA_DIR_OVERRIDE = process.env.STRAVA_DATA_DIR ? path.resolve(ROOT, process.env.STRAVA_DATA_DIR) : null;
+
+export const PATHS = dataPaths(DATA_DIR_OVERRIDE ?? ROOT);
+
+/**
+ * 把数据目录切换到 dir：先把当前目录里已有的数据文件拷贝过去（碎碎念目录除外），之后的读写都在 dir 里进行
+ */
+export async function useDataDir(dir) {
+  const next = dataPaths(dir);
+  for (const [key, file] of Object.entries(PATHS)) {
+    if (key === 'gossips') continue;
+    await fs.mkdir(path.dirname(next[key]), { recursive: true });
+    try {
+      await fs.copyFile(file, next[key]);
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+  }
+  await fs.mkdir(next.gossips, { recursive: true });
+  Object.assign(PATHS, next);
+}
+
+/**
+ * 读取 JSON 文件。fallback 只在文件不存在时使用；内容损坏（不是合法 JSON）一律报错，
+ * 否则同步会把损坏的缓存当成空数据，随后覆盖写回
+ */
+export async function readJson(file, fallback) {
+  let txt;
+  try {
+    txt = await fs.readFile(file, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT' && fallback !== undefined) return fallback;
+    throw e;
+  }
+  try {
+    return JSON.parse(txt);
+  } catch (e) {
+    throw new Error(`${path.relative(ROOT, file)}: invalid JSON (${e.message})`);
+  }
+}
+
+export async function writeJson(file, data) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, JSON.stringify(data, null, 2) + '\n', 'utf8');
+}
+
+/**
+ * 读取活动缓存（activities.min.json），按 schemas.mjs 迁移并校验；文件不存在时为空数组
+ */
+export async function readActivities() {
+  const raw = await readJson(PATHS.activities, null);
+  if (raw == null) return [];
+  return loadActivities(raw, path.relative(ROOT, PATHS.activities)).activities;
+}
+
+export async function writeActivities(activities) {
+  await writeJson(PATHS.activities, serializeActivities(activities));
+}
+
+/**
+ * 读取同步状态（state.json）；文件不存在时从头同步
+ */
+export async function readState() {
+  const raw = await readJson(PATHS.state, null);
+  if (raw == null) return { lastSyncEpoch: 0, updatedAt: null };
+  return loadState(raw, path.relative(ROOT, PATHS.state)).state;
+}
+
+export async function writeState(state) {
+  await writeJson(PATHS.state, serializeState(state));
+}
+
+/**
+ * 读取个人纪录历史（pb-history.json）；文件不存在时返回 null（首次同步只记录、不算刷新纪录）
+ */
+export async function readPbHistory() {
+  const raw = await readJson(PATHS.pbHistory, null);
+  if (raw == null) return null;
+  return loadPbHistory(raw, path.relative(ROOT, PATHS.pbHistory)).history;
+}
+
+export async function writePbHistory(history) {
+  await writeJson(PATHS.pbHistory, { schemaVersion: SCHEMA_VERSIONS.pbHistory, records: history.records });
+}
+
+const DEFAULT_CONFIG = {
+  // 运动员所在时区（IANA 名称），用于判断“今天”；为 null 时使用运行环境的时区
+  timeZone: null,
+  // 周统计保留最近多少个 ISO 周
+  weeklyWeeks: 26,
+  // 心率 / 功率区间：bounds 为 maxHr / ftp 的比例（各区间下界），maxHr / ftp 为空时不做该项分析
+  zones: {
+    heartrate: { maxHr: null, bounds: [0.6, 0.7, 0.8, 0.9] },
+    power: { ftp: null, bounds: [0.55, 0.75, 0.9, 1.05, 1.2] },
+  },
+  // 装备里程：retireKm 为各类型的退役里程（null 不提醒），达到 warnRatio 时提前提醒；
+  // items 按 gear_id 单独设置 retireKm / label / retired / hidden
+  gear: {
+    retireKm: { shoes: 700, bike: null },
+    warnRatio: 0.9,
+    items: {},
+  },
+  // 路线图：trimEndsM 为起终点隐私半径（m，去掉家门口的轨迹），
+  // heatmapRadiusKm 为热力图的常驻区域半径，recent 为页面展示的最近路线数
+  routes: {
+    trimEndsM: 200,
+    heatmapRadiusKm: 25,
+    recent: 12,
+  },
+  // 个人纪录：刷新 PB / 最远距离时，gossip 为 true 则在 src/content/gossips/ 写一条草稿（draft: true），tag 为碎碎念标签
+  records: {
+    gossip: false,
+    tag: 'life',
+  },
+  running: {
+    pbDistances: [
+      { key: 'best5k', label: '5K PB', distanceKm: 5 },
+      { key: 'best10k', label: '10K PB', distanceKm: 10 },
+      { key: 'halfMarathon', label: '半马 PB', distanceKm: 21.0975 },
+      { key: 'fullMarathon', label: '全马 PB', distanceKm: 42.195 },
+    ],
+  },
+};
+
+/**
+ * 读取 config.json（统计口径相关的可调配置），缺失的部分用默认值补齐
+ */
+export async function readSyncConfig() {
+  const config = await readJson(PATHS.config, {});
+  return {
+    ...DEFAULT_CONFIG,
+    ...config,
+    running: { ...DEFAULT_CONFIG.running, ...config.running },
+    zones: {
+      heartrate: { ...DEFAULT_CONFIG.zones.heartrate, ...config.zones?.heartrate },
+      power: { ...DEFAULT_CONFIG.zones.power, ...config.zones?.power },
+    },
+    routes: { ...DEFAULT_CONFIG.routes, ...config.routes },
+    records: { ...DEFAULT_CONFIG.records, ...config.records },
+    gear: {
+      ...DEFAULT_CONFIG.gear,
+      ...config.gear,
+      retireKm: { ...DEFAULT_CONFIG.gear.retireKm, ...config.gear?.retireKm },
+    },
+  };
+}
+
+/**
+ * 把 Strava API 的活动（列表或详情）压缩成缓存里的记录格式。
+ * 本地导入的 GPX/TCX/FIT 也先转成同样的字段再走这里。
+ */
+export function minimizeActivity(a) {
+  return {
+    id: a.id,
+    sport_type: a.sport_type || a.type,
+    name: a.name,
+    start_date: a.start_date, // UTC ISO
+    start_date_local: a.start_date_local,
+    distance_m: a.distance ?? null,
+    moving_time_s: a.moving_time ?? null,
+    elapsed_time_s: a.elapsed_time ?? null,
+    total_elevation_gain_m: a.total_elevation_gain ?? null,
+    calories_kcal: a.calories ?? null,
+    kilojoules_kj: a.kilojoules ?? null,
+    average_speed_mps: a.average_speed ?? null,
+    max_speed_mps: a.max_speed ?? null,
+    average_temp_c: a.average_temp ?? null,
+    average_watts: a.average_watts ?? null,
+    has_heartrate: a.has_heartrate ?? null,
+    average_heartrate: a.average_heartrate ?? null,
+    max_heartrate: a.max_heartrate ?? null,
+    device_name: a.device_name ?? null,
+    gear_id: a.gear_id ?? null,
+    // 编码后的简化路线（Google Encoded Polyline），室内 / 手动记录的活动为 null
+    summary_polyline: a.map?.summary_polyline || null,
+    trainer: a.trainer ?? null,
+    commute: a.commute ?? null,
+    // 只有活动详情才带 best_efforts；列表数据里没有时保持 undefined（写盘时省略），表示还没拉过
+    best_efforts: compactBestEfforts(a.best_efforts),
+    // internal: avoid re-fetching details for the same activity over and over
+    detail_attempted: a.detail_attempted ?? false,
+  };
+}
+
+/**
+ * 本地文件导入的活动（不在 Strava 上，不能拉详情、也不参与对账）
+ */
+export function isImportedActivity(a) {
+  return a?.source === 'file';
+}
+
+// 同一次运动的判断：开始时间相差不超过 10 分钟，且距离相差不超过 max(200m, 5%)
+const DEDUPE_START_TOLERANCE_S = 600;
+const DEDUPE_DISTANCE_TOLERANCE_M = 200;
+const DEDUPE_DISTANCE_TOLERANCE_RATIO = 0.05;
+
+/**
+ * 两条记录是否是同一次运动（本地导入与 Strava 上的同一次运动按此去重）
+ */
+export function isSameActivity(a, b) {
+  const ea = new Date(a.start_date).getTime() / 1000;
+  const eb = new Date(b.start_date).getTime() / 1000;
+  if (!Number.isFinite(ea) || !Number.isFinite(eb) || Math.abs(ea - eb) > DEDUPE_START_TOLERANCE_S) return false;
+  const da = Number(a.distance_m) || 0;
+  const db = Number(b.distance_m) || 0;
+  return Math.abs(da - db) <= Math.max(DEDUPE_DISTANCE_TOLERANCE_M, Math.max(da, db) * DEDUPE_DISTANCE_TOLERANCE_RATIO);
+}
+
+/**
+ * 本地导入后又上传到 Strava 的运动：保留 Strava 的记录，去掉导入的那条，避免重复计入。
+ * 返回 { activities, dropped }，dropped 为 [{ imported, strava }]
+ */
+export function dropImportedTwins(activities) {
+  const strava = activities.filter((a) => !isImportedActivity(a));
+  const dropped = [];
+  const kept = activities.filter((a) => {
+    if (!isImportedActivity(a)) return true;
+    const twin = strava.find((s) => isSameActivity(s, a));
+    if (twin) dropped.push({ imported: a, strava: twin });
+    return !twin;
+  });
+  return { activities: kept, dropped };
+}
+
+export function sortActivitiesDesc(activities) {
+  return activities.sort((a, b) => {
+    const da = new Date(a.start_date || 0).getTime();
+    const db = new Date(b.start_date || 0).getTime();
+    return db - da;
+  });
+}
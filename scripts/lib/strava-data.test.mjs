@@ -0,0 +1,24 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { dropImportedTwins, isSameActivity } from './strava-data.mjs';
+
+const IMPORTED = { id: 'file-abc123', source: 'file', sport_type: 'Run', start_date: '2025-06-01T22:00:00Z', distance_m: 10000 };
+const STRAVA = { id: 16000000001, sport_type: 'Run', start_date: '2025-06-01T22:03:00Z', distance_m: 10120 };
+
+test('start time within 10 minutes and distance within 5% is the same activity', () => {
+  assert.equal(isSameActivity(IMPORTED, STRAVA), true);
+  assert.equal(isSameActivity(IMPORTED, { ...STRAVA, start_date: '2025-06-01T22:11:00Z' }), false);
+  assert.equal(isSameActivity(IMPORTED, { ...STRAVA, distance_m: 10600 }), false);
+});
+
+test('an imported activity later uploaded to Strava keeps only the Strava record', () => {
+  const other = { ...IMPORTED, id: 'file-def456', start_date: '2025-05-01T22:00:00Z' };
+  const { activities, dropped } = dropImportedTwins([STRAVA, IMPORTED, other]);
+  assert.deepEqual(activities, [STRAVA, other]);
+  assert.deepEqual(dropped, [{ imported: IMPORTED, strava: STRAVA }]);
+});
+
+test('two imported files never replace each other', () => {
+  const copy = { ...IMPORTED, id: 'file-copy' };
+  assert.deepEqual(dropImportedTwins([IMPORTED, copy]).activities, [IMPORTED, copy]);
+});
@@ -0,0 +1,106 @@
+/**
+ * 按日 / 按周的训练统计：ISO 周跑量、连续运动天数、年度活跃天数、Eddington 数。
+ * 只基于活动缓存（baseline 没有逐日数据，不参与这些统计）；日期一律按运动员当地日历日。
+ */
+import { addDays, dayIndex, isoWeekOf, localDayKey } from './dates.mjs';
+
+function round(n, digits) {
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+}
+
+/**
+ * 活动 -> 每天的距离 / 时长 / 次数，key 为 'YYYY-MM-DD'
+ */
+export function dailyTotals(activities) {
+  const days = new Map();
+  for (const a of activities) {
+    const key = localDayKey(a);
+    if (!key) continue;
+    const d = days.get(key) || { distanceKm: 0, movingTimeHours: 0, count: 0 };
+    d.distanceKm += (Number(a.distance_m) || 0) / 1000;
+    d.movingTimeHours += (Number(a.moving_time_s) || 0) / 3600;
+    d.count += 1;
+    days.set(key, d);
+  }
+  return days;
+}
+
+/**
+ * 截至 today 所在周的最近 weeks 个 ISO 周（没有运动的周补 0），按时间正序
+ */
+export function weeklyTotals(days, { today, weeks }) {
+  const byWeek = new Map();
+  for (const [key, d] of days) {
+    const w = isoWeekOf(key).key;
+    const acc = byWeek.get(w) || { distanceKm: 0, movingTimeHours: 0, count: 0 };
+    acc.distanceKm += d.distanceKm;
+    acc.movingTimeHours += d.movingTimeHours;
+    acc.count += d.count;
+    byWeek.set(w, acc);
+  }
+
+  const out = [];
+  let start = isoWeekOf(today).start;
+  for (let i = 0; i < weeks; i++) {
+    const { key } = isoWeekOf(start);
+    const acc = byWeek.get(key) || { distanceKm: 0, movingTimeHours: 0, count: 0 };
+    out.push({
+      week: key,
+      start,
+      distanceKm: round(acc.distanceKm, 2),
+      movingTimeHours: round(acc.movingTimeHours, 2),
+      count: acc.count,
+    });
+    start = addDays(start, -7);
+  }
+  return out.reverse();
+}
+
+/**
+ * 连续运动天数：最长一段，以及截至今天的当前一段（今天还没运动时，从昨天往前算也不算中断）
+ */
+export function computeStreaks(dayKeys, { today }) {
+  const sorted = [...new Set(dayKeys)].sort();
+  let longest = null;
+  let runStart = null;
+  let prev = null;
+  for (const key of sorted) {
+    if (prev == null || dayIndex(key) - dayIndex(prev) !== 1) runStart = key;
+    const days = dayIndex(key) - dayIndex(runStart) + 1;
+    if (!longest || days > longest.days) longest = { days, start: runStart, end: key };
+    prev = key;
+  }
+
+  let current = { days: 0, start: null, end: null };
+  const todayIdx = dayIndex(today);
+  if (prev != null && todayIdx - dayIndex(prev) <= 1) {
+    current = { days: dayIndex(prev) - dayIndex(runStart) + 1, start: runStart, end: prev };
+  }
+  return { longest: longest ?? { days: 0, start: null, end: null }, current };
+}
+
+/**
+ * 每年有运动的天数
+ */
+export function activeDaysByYear(dayKeys) {
+  const out = {};
+  for (const key of new Set(dayKeys)) {
+    const y = key.slice(0, 4);
+    out[y] = (out[y] || 0) + 1;
+  }
+  return out;
+}
+
+/**
+ * Eddington 数 E：有 E 天单日距离 ≥ E km 的最大 E。
+ * 同时给出达到 E+1 还差几天（单日 ≥ E+1 km 的天数缺口）。
+ */
+export function eddingtonNumber(dailyKm) {
+  const sorted = dailyKm.filter((km) => km > 0).sort((a, b) => b - a);
+  let e = 0;
+  while (e < sorted.length && sorted[e] >= e + 1) e += 1;
+  const next = e + 1;
+  const qualified = sorted.filter((km) => km >= next).length;
+  return { value: e, next, daysToNext: Math.max(0, next - qualified) };
+}
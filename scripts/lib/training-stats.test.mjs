@@ -0,0 +1,51 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { activeDaysByYear, computeStreaks, dailyTotals, eddingtonNumber, weeklyTotals } from './training-stats.mjs';
+
+function activity(local, km, minutes = 30) {
+  return { start_date_local: `${local}Z`, distance_m: km * 1000, moving_time_s: minutes * 60 };
+}
+
+test('daily totals use the athlete local calendar day', () => {
+  const days = dailyTotals([activity('2025-12-31T23:50:00', 5), activity('2025-12-31T07:00:00', 3), activity('2026-01-01T00:10:00', 2)]);
+  assert.deepEqual([...days.keys()], ['2025-12-31', '2026-01-01']);
+  assert.deepEqual(days.get('2025-12-31'), { distanceKm: 8, movingTimeHours: 1, count: 2 });
+});
+
+test('weekly totals walk through ISO week 53 and fill empty weeks with zero', () => {
+  // 2026 年有 53 个 ISO 周：2026-12-28 ~ 2027-01-03 是 2026-W53
+  const days = dailyTotals([activity('2026-12-22T07:00:00', 10), activity('2027-01-02T07:00:00', 5), activity('2027-01-03T07:00:00', 6)]);
+  assert.deepEqual(weeklyTotals(days, { today: '2027-01-04', weeks: 4 }), [
+    { week: '2026-W51', start: '2026-12-14', distanceKm: 0, movingTimeHours: 0, count: 0 },
+    { week: '2026-W52', start: '2026-12-21', distanceKm: 10, movingTimeHours: 0.5, count: 1 },
+    { week: '2026-W53', start: '2026-12-28', distanceKm: 11, movingTimeHours: 1, count: 2 },
+    { week: '2027-W01', start: '2027-01-04', distanceKm: 0, movingTimeHours: 0, count: 0 },
+  ]);
+});
+
+test('streaks continue across the year boundary', () => {
+  const keys = ['2025-12-20', '2025-12-30', '2025-12-31', '2026-01-01', '2026-01-02'];
+  const { longest, current } = computeStreaks(keys, { today: '2026-01-02' });
+  assert.deepEqual(longest, { days: 4, start: '2025-12-30', end: '2026-01-02' });
+  assert.deepEqual(current, longest);
+});
+
+test('no activity yet today keeps the current streak, a missed day ends it', () => {
+  const keys = ['2026-01-01', '2026-01-02', '2026-01-02'];
+  assert.deepEqual(computeStreaks(keys, { today: '2026-01-03' }).current, { days: 2, start: '2026-01-01', end: '2026-01-02' });
+  assert.deepEqual(computeStreaks(keys, { today: '2026-01-04' }).current, { days: 0, start: null, end: null });
+  assert.deepEqual(computeStreaks([], { today: '2026-01-04' }), {
+    longest: { days: 0, start: null, end: null },
+    current: { days: 0, start: null, end: null },
+  });
+});
+
+test('active days are counted once per day and grouped by year', () => {
+  assert.deepEqual(activeDaysByYear(['2025-12-31', '2025-12-31', '2026-01-01', '2025-06-01']), { 2025: 2, 2026: 1 });
+});
+
+test('Eddington number and the days missing for the next one', () => {
+  assert.deepEqual(eddingtonNumber([10, 3, 3, 2.9, 1, 0]), { value: 3, next: 4, daysToNext: 3 });
+  assert.deepEqual(eddingtonNumber([5, 5, 5, 5, 5]), { value: 5, next: 6, daysToNext: 6 });
+  assert.deepEqual(eddingtonNumber([]), { value: 0, next: 1, daysToNext: 1 });
+});
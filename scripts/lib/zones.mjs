@@ -0,0 +1,163 @@
+/**
+ * 心率 / 功率区间分析
+ *
+ * 缓存里不直接保存“每个区间的秒数”，而是保存按固定宽度分桶的直方图（hr_hist_s / power_hist_s），
+ * 区间在生成统计时再按 config.json 的 zones 计算，这样调整区间不需要重新拉取数据流。
+ * 桶宽记在活动的 hr_hist_bin / power_hist_bin 上；早期的直方图没有这个字段，按当时的 5 bpm / 10 W 处理。
+ */
+import { localMonthKey } from './dates.mjs';
+
+// 直方图桶宽：心率 1 bpm（心率是整数，区间边界也是整数，不会有桶跨越边界），功率 10 W
+export const HR_BIN = 1;
+export const POWER_BIN = 10;
+
+// 相邻采样间隔超过该值（s）视为暂停，不计入
+const SAMPLE_GAP_MAX_S = 30;
+
+export const ZONE_METRICS = {
+  heartrate: { histKey: 'hr_hist_s', binKey: 'hr_hist_bin', averageKey: 'average_heartrate', streamKey: 'heartrate', bin: HR_BIN, legacyBin: 5 },
+  power: { histKey: 'power_hist_s', binKey: 'power_hist_bin', averageKey: 'average_watts', streamKey: 'watts', bin: POWER_BIN, legacyBin: 10 },
+};
+
+/**
+ * 数据流 -> { [桶下界]: 秒数 }；没有有效数据时返回 null
+ */
+export function streamHistogram(time, values, bin) {
+  if (!Array.isArray(time) || !Array.isArray(values) || time.length !== values.length) return null;
+  const hist = {};
+  let total = 0;
+  for (let i = 1; i < time.length; i++) {
+    const dt = time[i] - time[i - 1];
+    const v = values[i];
+    if (!(dt > 0) || dt > SAMPLE_GAP_MAX_S || !Number.isFinite(v) || v <= 0) continue;
+    const key = Math.floor(v / bin) * bin;
+    hist[key] = (hist[key] || 0) + dt;
+    total += dt;
+  }
+  return total > 0 ? hist : null;
+}
+
+/**
+ * 数据流 -> 活动记录上的直方图字段 { [histKey]: 直方图 | null, [binKey]: 桶宽 }
+ */
+export function zoneHistogramFields(metric, time, values) {
+  const { histKey, binKey, bin } = ZONE_METRICS[metric];
+  const hist = streamHistogram(time, values, bin);
+  return hist ? { [histKey]: hist, [binKey]: bin } : { [histKey]: null };
+}
+
+/**
+ * config.zones -> { heartrate: { labels, bounds }, power: {...} }，bounds 为各区间下界（bpm / W）。
+ * 配置示例：{ heartrate: { maxHr: 190, bounds: [0.6, 0.7, 0.8, 0.9] }, power: { ftp: 220, bounds: [0.55, 0.75, 0.9, 1.05, 1.2] } }
+ * bounds 为 maxHr / ftp 的比例；缺少 maxHr / ftp 时该指标不统计。
+ */
+export function resolveZones(zonesConfig = {}) {
+  const out = {};
+  const build = (reference, ratios) => {
+    if (!(Number(reference) > 0) || !Array.isArray(ratios) || ratios.length === 0) return null;
+    const bounds = [0, ...ratios.map((r) => Math.round(Number(r) * Number(reference)))];
+    if (bounds.some((b, i) => i > 0 && !(b > bounds[i - 1]))) {
+      throw new Error('config.json zones: bounds must be increasing positive ratios');
+    }
+    return { labels: bounds.map((_, i) => `Z${i + 1}`), bounds };
+  };
+  const hr = build(zonesConfig.heartrate?.maxHr, zonesConfig.heartrate?.bounds);
+  const power = build(zonesConfig.power?.ftp, zonesConfig.power?.bounds);
+  if (hr) out.heartrate = hr;
+  if (power) out.power = power;
+  return out;
+}
+
+export function zoneIndex(value, bounds) {
+  let idx = 0;
+  for (let i = 0; i < bounds.length; i++) if (value >= bounds[i]) idx = i;
+  return idx;
+}
+
+/**
+ * 直方图的一个桶 [lower, lower + bin) 按与各区间重叠的宽度比例拆分秒数（假设桶内均匀分布）
+ */
+function addBinSeconds(seconds, lower, bin, sec, bounds) {
+  const upper = lower + bin;
+  bounds.forEach((from, i) => {
+    const to = i + 1 < bounds.length ? bounds[i + 1] : Infinity;
+    const overlap = Math.min(upper, to) - Math.max(lower, from);
+    if (overlap > 0) seconds[i] += (sec * overlap) / bin;
+  });
+}
+
+/**
+ * 单个活动在各区间的秒数：优先用直方图（来自数据流），否则把整段移动时间归到平均值所在区间。
+ * 返回 { seconds: number[], source: 'streams' | 'average' } 或 null（没有该指标）
+ */
+export function activityZoneSeconds(a, metric, zones) {
+  const { histKey, binKey, averageKey, legacyBin } = ZONE_METRICS[metric];
+  const seconds = zones.bounds.map(() => 0);
+  const hist = a[histKey];
+  if (hist && typeof hist === 'object') {
+    const bin = Number(a[binKey]) > 0 ? Number(a[binKey]) : legacyBin;
+    for (const [lower, sec] of Object.entries(hist)) {
+      addBinSeconds(seconds, Number(lower), bin, Number(sec) || 0, zones.bounds);
+    }
+    return { seconds, source: 'streams' };
+  }
+  const avg = Number(a[averageKey]);
+  const t = Number(a.moving_time_s) || 0;
+  if (!(avg > 0) || !(t > 0)) return null;
+  seconds[zoneIndex(avg, zones.bounds)] += t;
+  return { seconds, source: 'average' };
+}
+
+/**
+ * 一组活动按月汇总各区间时间（秒），并统计用到的数据来源
+ * 返回 { [metric]: { labels, bounds, total, monthly: [{ month, seconds, streams, averages }] } }，没有数据的指标省略
+ */
+export function monthlyZoneStats(activities, zones) {
+  const out = {};
+  for (const [metric, z] of Object.entries(zones)) {
+    const byMonth = new Map();
+    const total = z.bounds.map(() => 0);
+    for (const a of activities) {
+      const r = activityZoneSeconds(a, metric, z);
+      const month = localMonthKey(a);
+      if (!r || !month) continue;
+      const m = byMonth.get(month) || { month, seconds: z.bounds.map(() => 0), streams: 0, averages: 0 };
+      r.seconds.forEach((sec, i) => {
+        m.seconds[i] += sec;
+        total[i] += sec;
+      });
+      if (r.source === 'streams') m.streams += 1;
+      else m.averages += 1;
+      byMonth.set(month, m);
+    }
+    if (byMonth.size === 0) continue;
+    const monthly = [...byMonth.values()]
+      .sort((a, b) => (a.month < b.month ? 1 : -1))
+      .map((m) => ({ ...m, seconds: m.seconds.map(Math.round) }));
+    out[metric] = { labels: z.labels, bounds: z.bounds, total: total.map(Math.round), monthly };
+  }
+  return out;
+}
+
+/**
+ * 有氧效率趋势：每月“每次心跳前进的米数”= 距离 / (移动分钟数 × 平均心率)，越高说明同样心率下跑得越快。
+ * 只统计有平均心率的活动，按月正序返回。
+ */
+export function monthlyEfficiency(activities) {
+  const byMonth = new Map();
+  for (const a of activities) {
+    const hr = Number(a.average_heartrate);
+    const dist = Number(a.distance_m);
+    const minutes = (Number(a.moving_time_s) || 0) / 60;
+    const month = localMonthKey(a);
+    if (!(hr > 0) || !(dist > 0) || !(minutes > 0) || !month) continue;
+    const m = byMonth.get(month) || { month, distanceM: 0, beats: 0, count: 0 };
+    m.distanceM += dist;
+    m.beats += minutes * hr;
+    m.count += 1;
+    byMonth.set(month, m);
+  }
+  return [...byMonth.values()]
+    .sort((a, b) => (a.month < b.month ? -1 : 1))
+    .map((m) => ({ month: m.month, metersPerBeat: Math.round((m.distanceM / m.beats) * 1000) / 1000, count: m.count }));
+}
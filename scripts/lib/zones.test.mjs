@@ -0,0 +1,42 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { activityZoneSeconds, resolveZones, zoneHistogramFields } from './zones.mjs';
+
+// maxHr 190 -> 区间下界 0 / 114 / 133 / 152 / 171；ftp 220 -> 0 / 121 / 165 / 198 / 231 / 264
+const ZONES = resolveZones({
+  heartrate: { maxHr: 190, bounds: [0.6, 0.7, 0.8, 0.9] },
+  power: { ftp: 220, bounds: [0.55, 0.75, 0.9, 1.05, 1.2] },
+});
+
+function zoneSecondsOf(metric, values) {
+  const time = values.map((_, i) => i);
+  return activityZoneSeconds(zoneHistogramFields(metric, time, values), metric, ZONES[metric]);
+}
+
+test('constant 150 bpm stream is counted in Z3', () => {
+  assert.deepEqual(ZONES.heartrate.bounds, [0, 114, 133, 152, 171]);
+  const r = zoneSecondsOf('heartrate', Array(601).fill(150));
+  assert.deepEqual(r, { seconds: [0, 0, 600, 0, 0], source: 'streams' });
+});
+
+test('heart rate right at a bound belongs to the upper zone', () => {
+  const r = zoneSecondsOf('heartrate', [151, 151, 152, 152]);
+  assert.deepEqual(r.seconds, [0, 0, 1, 2, 0]);
+});
+
+test('cached 5 bpm histograms without a bin width are still read, split at the bounds', () => {
+  // 150 ~ 155 bpm 的桶：150、151 属于 Z3，152 ~ 154 属于 Z4
+  const r = activityZoneSeconds({ hr_hist_s: { 150: 500 } }, 'heartrate', ZONES.heartrate);
+  assert.deepEqual(r.seconds, [0, 0, 200, 300, 0]);
+});
+
+test('power bins straddling a bound are split by overlap', () => {
+  // 120 ~ 130 W 的桶：120 W 属于 Z1，121 ~ 129 W 属于 Z2
+  const r = activityZoneSeconds({ power_hist_s: { 120: 100 } }, 'power', ZONES.power);
+  assert.deepEqual(r.seconds.map((s) => Math.round(s * 10) / 10), [10, 90, 0, 0, 0, 0]);
+});
+
+test('activities without streams fall back to the average', () => {
+  const r = activityZoneSeconds({ average_heartrate: 150, moving_time_s: 1800 }, 'heartrate', ZONES.heartrate);
+  assert.deepEqual(r, { seconds: [0, 0, 1800, 0, 0], source: 'average' });
+});
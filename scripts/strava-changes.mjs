@@ -0,0 +1,61 @@
+/**
+ * 对比工作区与 git HEAD 的 Strava 数据文件，判断同步是否产生了有意义的变化，并输出变更报告
+ *
+ * 用法：
+ *   node scripts/strava-changes.mjs [--base=HEAD] [--report=path]
+ *
+ * - 报告打印到 stdout；--report 同时写入文件（工作流用作提交说明）
+ * - 设置了 GITHUB_OUTPUT 时追加 meaningful_data=true|false
+ * - 文件在 base 中不存在（新文件）也算变化
+ */
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { STRAVA_DATA_FILES, detectChanges, formatReport } from './lib/strava-changes.mjs';
+import { ROOT, readJson } from './lib/strava-data.mjs';
+
+function parseArgs(argv) {
+  const opts = { base: 'HEAD', report: null };
+  for (const arg of argv) {
+    if (arg.startsWith('--base=')) opts.base = arg.slice('--base='.length);
+    else if (arg.startsWith('--report=')) opts.report = arg.slice('--report='.length);
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+  return opts;
+}
+
+function readJsonFromGit(base, file) {
+  let txt;
+  try {
+    txt = execFileSync('git', ['show', `${base}:${file}`], { cwd: ROOT, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'], maxBuffer: 256 * 1024 * 1024 });
+  } catch {
+    // base 里没有这个文件
+    return null;
+  }
+  return JSON.parse(txt);
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const prev = {};
+  const cur = {};
+  for (const file of Object.values(STRAVA_DATA_FILES)) {
+    prev[file] = readJsonFromGit(opts.base, file);
+    cur[file] = await readJson(path.join(ROOT, file), null);
+  }
+
+  const changes = detectChanges({ prev, cur });
+  const report = formatReport(changes);
+  // eslint-disable-next-line no-console
+  console.log(report);
+  if (opts.report) await fs.writeFile(path.resolve(ROOT, opts.report), `${report}\n`, 'utf8');
+  if (process.env.GITHUB_OUTPUT) {
+    await fs.appendFile(process.env.GITHUB_OUTPUT, `meaningful_data=${changes.meaningful}\n`, 'utf8');
+  }
+}
+
+main().catch((e) => {
+  // eslint-disable-next-line no-console
+  console.error(e);
+  process.exit(1);
+});
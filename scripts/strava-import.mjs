@@ -0,0 +1,189 @@
+/**
+ * 把本地 GPX / TCX / FIT 文件导入活动缓存（activities.min.json）
+ *
+ * 用法：node scripts/strava-import.mjs <目录> [--dry-run] [--sport=Run] [--tz=Asia/Shanghai]
+ *
+ * - 每个文件转成与 minimizeActivity 相同的记录格式，并标记 source: 'file'
+ * - 与已有活动按开始时间 + 距离去重（Strava 上已有的同一次运动不会重复计入）
+ * - 同一文件重复导入时按内容哈希覆盖，不会产生重复记录
+ */
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { SUPPORTED_EXTENSIONS, parseActivityFile } from './lib/activity-files.mjs';
+import { bestEffortsFromStream } from './lib/best-efforts.mjs';
+import { toIsoSeconds, toLocalIso } from './lib/dates.mjs';
+import { buildSportRegistry } from './lib/sports.mjs';
+import { ZONE_METRICS, zoneHistogramFields } from './lib/zones.mjs';
+import {
+  ROOT,
+  isImportedActivity,
+  isSameActivity,
+  minimizeActivity,
+  readActivities,
+  readSyncConfig,
+  sortActivitiesDesc,
+  writeActivities,
+} from './lib/strava-data.mjs';
+
+function parseArgs(argv) {
+  const opts = { dir: null, dryRun: false, sport: null, tz: process.env.STRAVA_IMPORT_TZ || null };
+  for (const arg of argv) {
+    if (arg === '--dry-run') opts.dryRun = true;
+    else if (arg.startsWith('--sport=')) opts.sport = arg.slice('--sport='.length);
+    else if (arg.startsWith('--tz=')) opts.tz = arg.slice('--tz='.length);
+    else if (!arg.startsWith('--')) opts.dir = arg;
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+  opts.tz ||= Intl.DateTimeFormat().resolvedOptions().timeZone;
+  return opts;
+}
+
+async function listActivityFiles(dir) {
+  const out = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) out.push(...(await listActivityFiles(full)));
+    else if (SUPPORTED_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) out.push(full);
+  }
+  return out.sort();
+}
+
+/**
+ * 跑步按 config 里的 PB 距离，从轨迹的时间 / 距离序列算分段最佳成绩（FIT 只解析了汇总，没有序列）
+ */
+function localBestEfforts(raw, sportType, { registry, pbDistancesM }) {
+  if (registry.categoryOf({ sport_type: sportType }) !== 'running' || !raw.streams) return undefined;
+  const targets = pbDistancesM.filter((d) => d <= (raw.distance || 0));
+  return bestEffortsFromStream(raw.streams.time, raw.streams.distance, targets).filter((e) => e.elapsed_time_s > 0);
+}
+
+/**
+ * 心率 / 功率直方图（与同步脚本从 Strava 数据流算出的格式相同），没有数据时省略
+ */
+function localZoneHistograms(raw) {
+  const out = {};
+  if (!raw.streams) return out;
+  for (const [metric, { histKey, streamKey }] of Object.entries(ZONE_METRICS)) {
+    const fields = zoneHistogramFields(metric, raw.streams.time, raw.streams[streamKey]);
+    if (fields[histKey]) Object.assign(out, fields);
+  }
+  return out;
+}
+
+function toActivityRecord(raw, { id, file, opts }) {
+  const sportType = raw.sport_type || opts.sport;
+  if (!sportType) return null;
+  const movingTime = raw.moving_time || raw.elapsed_time || 0;
+  const record = minimizeActivity({
+    ...raw,
+    id,
+    sport_type: sportType,
+    name: raw.name || path.basename(file, path.extname(file)),
+    start_date: toIsoSeconds(raw.start),
+    start_date_local: toLocalIso(raw.start, { timeZone: opts.tz, utcOffsetS: raw.utc_offset_s }),
+    distance: Math.round((raw.distance || 0) * 10) / 10,
+    moving_time: movingTime,
+    average_speed: raw.average_speed ?? (movingTime > 0 ? Math.round((raw.distance / movingTime) * 1000) / 1000 : null),
+    // 本地活动没有 Strava 详情可拉
+    detail_attempted: true,
+  });
+  return {
+    ...record,
+    best_efforts: localBestEfforts(raw, sportType, opts),
+    ...localZoneHistograms(raw),
+    source: 'file',
+    source_file: path.relative(ROOT, file),
+  };
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (!opts.dir) {
+    // eslint-disable-next-line no-console
+    console.error('Usage: node scripts/strava-import.mjs <dir> [--dry-run] [--sport=Run] [--tz=Asia/Shanghai]');
+    process.exit(1);
+  }
+
+  const config = await readSyncConfig();
+  opts.registry = buildSportRegistry(config.sports);
+  opts.pbDistancesM = config.running.pbDistances.map((pb) => Number(pb.distanceKm) * 1000).filter((d) => d > 0);
+  const cachedActivities = await readActivities();
+  const byId = new Map(cachedActivities.map((a) => [a.id, a]));
+  const files = await listActivityFiles(path.resolve(ROOT, opts.dir));
+
+  const imported = [];
+  const updated = [];
+  const duplicates = [];
+  const skipped = [];
+
+  for (const file of files) {
+    const rel = path.relative(ROOT, file);
+    let parsed;
+    const buffer = await fs.readFile(file);
+    try {
+      parsed = parseActivityFile(file, buffer);
+    } catch (e) {
+      skipped.push({ file: rel, reason: e.message });
+      continue;
+    }
+    if (parsed.length === 0) {
+      skipped.push({ file: rel, reason: 'no track data' });
+      continue;
+    }
+
+    const hash = crypto.createHash('sha1').update(buffer).digest('hex').slice(0, 12);
+    parsed.forEach((raw, index) => {
+      const id = `file-${hash}${parsed.length > 1 ? `-${index}` : ''}`;
+      const record = toActivityRecord(raw, { id, file, opts });
+      if (!record) {
+        skipped.push({ file: rel, reason: 'unknown sport type (use --sport=...)' });
+        return;
+      }
+      if (byId.has(id)) {
+        byId.set(id, record);
+        updated.push(record);
+        return;
+      }
+      const dup = Array.from(byId.values()).find((a) => isSameActivity(a, record));
+      if (dup) {
+        duplicates.push({ file: rel, matches: dup.id, source: isImportedActivity(dup) ? 'file' : 'strava' });
+        return;
+      }
+      byId.set(id, record);
+      imported.push(record);
+    });
+  }
+
+  const merged = sortActivitiesDesc(Array.from(byId.values()).filter((a) => a && a.id));
+  if (!opts.dryRun && imported.length + updated.length > 0) await writeActivities(merged);
+
+  // eslint-disable-next-line no-console
+  console.log(
+    JSON.stringify(
+      {
+        dryRun: opts.dryRun,
+        timeZone: opts.tz,
+        files: files.length,
+        imported: imported.map((a) => `${a.id} ${a.start_date_local.slice(0, 10)} ${a.sport_type} ${(a.distance_m / 1000).toFixed(2)}km`),
+        updated: updated.map((a) => a.id),
+        duplicates,
+        skipped,
+        cached_before: cachedActivities.length,
+        cached_after: merged.length,
+      },
+      null,
+      2,
+    ),
+  );
+  if (!opts.dryRun && imported.length + updated.length > 0) {
+    // eslint-disable-next-line no-console
+    console.log('Run `node scripts/strava-sync.mjs` to regenerate sports-stats.json.');
+  }
+}
+
+main().catch((e) => {
+  // eslint-disable-next-line no-console
+  console.error(e);
+  process.exit(1);
+});
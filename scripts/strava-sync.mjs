@@ -1,14 +1,45 @@
 import fs from 'node:fs/promises';
+import os from 'node:os';
 import path from 'node:path';
-
-const ROOT = process.cwd();
-
-const PATHS = {
-  baseline: path.join(ROOT, 'src/data/strava/baseline.json'),
-  state: path.join(ROOT, 'src/data/strava/state.json'),
-  activities: path.join(ROOT, 'src/data/strava/activities.min.json'),
-  outStats: path.join(ROOT, 'src/data/sports-stats.json'),
-};
+import { normalizeBaseline, parseBaselineTimeToSec, summarizeBaseline, upgradeBaseline } from './lib/baseline.mjs';
+import { bestEffortsFromStream, sameDistance } from './lib/best-efforts.mjs';
+import { formatDateYmdDot, localMonthKey, localYearKey, todayKey } from './lib/dates.mjs';
+import { buildSportRegistry, distanceInUnit, formatPaceOrSpeed } from './lib/sports.mjs';
+import {
+  activeDaysByYear,
+  computeStreaks,
+  dailyTotals,
+  eddingtonNumber,
+  weeklyTotals,
+} from './lib/training-stats.mjs';
+import { computeGearStats, minimizeGear } from './lib/gear.mjs';
+import { pbGossipDraft, updatePbHistory } from './lib/pb-history.mjs';
+import { SCHEMA_VERSIONS, serializeBaseline, validateStats } from './lib/schemas.mjs';
+import { ZONE_METRICS, monthlyEfficiency, monthlyZoneStats, resolveZones, zoneHistogramFields } from './lib/zones.mjs';
+import {
+  DATA_DIR_OVERRIDE,
+  PATHS,
+  ROOT,
+  dropImportedTwins,
+  isImportedActivity,
+  minimizeActivity,
+  readActivities,
+  readJson,
+  readPbHistory,
+  readState,
+  readSyncConfig,
+  sortActivitiesDesc,
+  useDataDir,
+  writeActivities,
+  writeJson,
+  writePbHistory,
+  writeState,
+} from './lib/strava-data.mjs';
+
+// Strava API 地址可替换（例如指向本地的替身服务做回归测试）
+const STRAVA_API_BASE = (process.env.STRAVA_API_BASE || 'https://www.strava.com').replace(/\/+$/, '');
+// 回放模式：从本地 fixtures 目录读取录制好的响应，不需要真实凭据和网络
+const STRAVA_REPLAY_DIR = process.env.STRAVA_REPLAY_DIR ? path.resolve(ROOT, process.env.STRAVA_REPLAY_DIR) : null;
 
 function mustGetEnv(name) {
   const v = process.env[name];
@@ -16,51 +47,16 @@ function mustGetEnv(name) {
   return v;
 }
 
-async function readJson(file, fallback) {
-  try {
-    const txt = await fs.readFile(file, 'utf8');
-    return JSON.parse(txt);
-  } catch (e) {
-    if (fallback !== undefined) return fallback;
-    throw e;
-  }
-}
-
-async function writeJson(file, data) {
-  await fs.mkdir(path.dirname(file), { recursive: true });
-  await fs.writeFile(file, JSON.stringify(data, null, 2) + '\n', 'utf8');
-}
-
-function asSportType(a) {
-  return (a.sport_type || a.type || '').toString();
-}
-
-function isRun(a) {
-  const t = asSportType(a);
-  return t === 'Run' || t === 'TrailRun' || t === 'VirtualRun' || t === 'Treadmill';
-}
-
-function isRide(a) {
-  const t = asSportType(a);
-  return t === 'Ride' || t === 'VirtualRide' || t === 'EBikeRide' || t === 'GravelRide';
-}
-
-function clamp(n, min, max) {
-  return Math.max(min, Math.min(max, n));
+function getCredential(name) {
+  // 回放模式下凭据不会被真正使用，缺失时给一个占位值
+  if (STRAVA_REPLAY_DIR) return process.env[name] || 'replay';
+  return mustGetEnv(name);
 }
 
 function pad2(n) {
   return n < 10 ? `0${n}` : `${n}`;
 }
 
-function formatDateYmdDot(dateLike) {
-  const d = new Date(dateLike);
-  const y = d.getFullYear();
-  const m = pad2(d.getMonth() + 1);
-  const day = pad2(d.getDate());
-  return `${y}.${m}.${day}`;
-}
-
 function formatPaceSecPerKm(secPerKm) {
   if (!Number.isFinite(secPerKm) || secPerKm <= 0) return null;
   const total = Math.round(secPerKm);
@@ -77,54 +73,244 @@ function formatTimeMinTextFromSec(sec) {
   return `${m}:${pad2(s)}`;
 }
 
-function parseBaselineTimeToSec(timeText) {
-  if (!timeText) return null;
-  const t = `${timeText}`.trim();
-  if (!t) return null;
+// 超过 1 小时的成绩（半马/全马）显示为 h:mm:ss
+function formatDurationText(sec) {
+  if (!Number.isFinite(sec) || sec <= 0) return null;
+  const total = Math.round(sec);
+  if (total < 3600) return formatTimeMinTextFromSec(total);
+  const h = Math.floor(total / 3600);
+  return `${h}:${pad2(Math.floor((total % 3600) / 60))}:${pad2(total % 60)}`;
+}
+
+function toFixedTrim(n, digits) {
+  const s = n.toFixed(digits);
+  return s.replace(/\.0+$/, '').replace(/(\.\d*?)0+$/, '$1');
+}
+
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { 'content-type': 'application/json' },
+  });
+}
 
-  // "59:01"
-  if (t.includes(':')) {
-    const [mm, ss] = t.split(':').map((x) => parseInt(x, 10));
-    if (Number.isFinite(mm) && Number.isFinite(ss)) return mm * 60 + ss;
-    return null;
+async function replayFixture(rel) {
+  const file = path.join(STRAVA_REPLAY_DIR, rel);
+  try {
+    const txt = await fs.readFile(file, 'utf8');
+    return jsonResponse(JSON.parse(txt));
+  } catch (e) {
+    if (e.code === 'ENOENT') return jsonResponse({ message: 'Record Not Found', fixture: rel }, 404);
+    throw e;
   }
+}
 
-  // "27.31" (你的页面当前写法，按 27分31秒 解析)
-  if (t.includes('.')) {
-    const [mm, ss] = t.split('.').map((x) => parseInt(x, 10));
-    if (Number.isFinite(mm) && Number.isFinite(ss)) return mm * 60 + ss;
-    return null;
+/**
+ * 把 Strava API 请求映射到 fixtures 目录：
+ * - POST /oauth/token                  -> token.json
+ * - GET  /api/v3/athletes/:id/stats    -> athlete-stats.json
+ * - GET  /api/v3/athlete/activities    -> activities.json（完整列表，这里按 after/page/per_page 模拟分页）
+ * - GET  /api/v3/activities/:id        -> activities/<id>.json
+ * - GET  /api/v3/activities/:id/streams -> streams/<id>.json
+ * - GET  /api/v3/gear/:id              -> gear/<id>.json
+ */
+async function replayStravaRequest(url) {
+  const p = url.pathname;
+  if (p === '/oauth/token') return replayFixture('token.json');
+  if (/^\/api\/v3\/athletes\/[^/]+\/stats$/.test(p)) return replayFixture('athlete-stats.json');
+
+  if (p === '/api/v3/athlete/activities') {
+    const res = await replayFixture('activities.json');
+    if (!res.ok) return res;
+    const all = await res.json();
+    if (!Array.isArray(all)) return jsonResponse({ message: 'activities.json is not an array' }, 500);
+    const hasAfter = url.searchParams.has('after');
+    const after = Number(url.searchParams.get('after')) || 0;
+    const page = Math.max(1, Number(url.searchParams.get('page')) || 1);
+    const perPage = Math.max(1, Number(url.searchParams.get('per_page')) || 30);
+    const epochOf = (a) => Math.floor(new Date(a.start_date || 0).getTime() / 1000);
+    // 与 Strava 行为一致：带 after 时按时间升序，否则按时间倒序
+    const list = all
+      .filter((a) => epochOf(a) > after)
+      .sort((a, b) => (hasAfter ? epochOf(a) - epochOf(b) : epochOf(b) - epochOf(a)));
+    return jsonResponse(list.slice((page - 1) * perPage, page * perPage));
   }
 
-  // fallback: treat as minutes
-  const mm = parseInt(t, 10);
-  return Number.isFinite(mm) ? mm * 60 : null;
+  const streams = p.match(/^\/api\/v3\/activities\/([^/]+)\/streams$/);
+  if (streams) return replayFixture(path.join('streams', `${streams[1]}.json`));
+
+  const detail = p.match(/^\/api\/v3\/activities\/([^/]+)$/);
+  if (detail) return replayFixture(path.join('activities', `${detail[1]}.json`));
+
+  const gear = p.match(/^\/api\/v3\/gear\/([^/]+)$/);
+  if (gear) return replayFixture(path.join('gear', `${gear[1]}.json`));
+
+  return jsonResponse({ message: 'Not Found', path: p }, 404);
 }
 
-function toFixedTrim(n, digits) {
-  const s = n.toFixed(digits);
-  return s.replace(/\.0+$/, '').replace(/(\.\d*?)0+$/, '$1');
+/**
+ * 所有 Strava 请求的统一出口：正常模式走 STRAVA_API_BASE，回放模式读 fixtures。
+ */
+async function stravaFetch(pathname, { searchParams, ...init } = {}) {
+  const url = new URL(`${STRAVA_API_BASE}${pathname}`);
+  for (const [k, v] of Object.entries(searchParams || {})) {
+    if (v != null) url.searchParams.set(k, String(v));
+  }
+  if (STRAVA_REPLAY_DIR) return replayStravaRequest(url);
+  return fetch(url, init);
 }
 
-async function stravaRefreshAccessToken() {
-  const client_id = mustGetEnv('STRAVA_CLIENT_ID');
-  const client_secret = mustGetEnv('STRAVA_CLIENT_SECRET');
-  const refresh_token = mustGetEnv('STRAVA_REFRESH_TOKEN');
+class StravaApiError extends Error {
+  constructor(message, { status = null, rateLimited = false } = {}) {
+    super(message);
+    this.name = 'StravaApiError';
+    this.status = status;
+    this.rateLimited = rateLimited;
+  }
+}
+
+const RETRY = {
+  maxRetries: Number(process.env.STRAVA_MAX_RETRIES ?? 4),
+  baseDelayMs: 1000,
+  maxDelayMs: 60_000,
+  // 触发限流后最多愿意原地等待多久（秒），超过则中断本次同步、下次续传
+  maxRateLimitWaitS: Number(process.env.STRAVA_MAX_RATE_LIMIT_WAIT_S ?? 900),
+};
+
+// 最近一次响应里的限流用量，用于在打满之前主动暂停
+let lastRateLimit = null;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function parseRateLimitPair(value) {
+  if (!value) return null;
+  const [short, daily] = `${value}`.split(',').map((x) => parseInt(x, 10));
+  return Number.isFinite(short) && Number.isFinite(daily) ? { short, daily } : null;
+}
+
+/**
+ * 解析 X-RateLimit-* 与 X-ReadRateLimit-* 头，取余量更少的那一组。
+ * 短窗口为 15 分钟（按 UTC 整刻钟重置），日窗口按 UTC 零点重置。
+ */
+function readRateLimit(headers) {
+  const groups = [
+    [headers.get('x-ratelimit-limit'), headers.get('x-ratelimit-usage')],
+    [headers.get('x-readratelimit-limit'), headers.get('x-readratelimit-usage')],
+  ];
+  let out = null;
+  for (const [limitText, usageText] of groups) {
+    const limit = parseRateLimitPair(limitText);
+    const usage = parseRateLimitPair(usageText);
+    if (!limit || !usage) continue;
+    const cur = {
+      shortLimit: limit.short,
+      shortUsage: usage.short,
+      dailyLimit: limit.daily,
+      dailyUsage: usage.daily,
+    };
+    if (!out || cur.shortLimit - cur.shortUsage < out.shortLimit - out.shortUsage) out = cur;
+  }
+  return out;
+}
+
+function secondsUntilNextQuarterHour(now = new Date()) {
+  const secOfHour = now.getUTCMinutes() * 60 + now.getUTCSeconds();
+  return 900 - (secOfHour % 900) + 1;
+}
+
+/**
+ * 需要等待多久才能继续请求（秒）；日额度耗尽时返回 Infinity。
+ */
+function rateLimitWaitSeconds(rl, { exhausted = false } = {}) {
+  if (!rl) return exhausted ? secondsUntilNextQuarterHour() : 0;
+  if (rl.dailyUsage >= rl.dailyLimit) return Infinity;
+  if (exhausted || rl.shortUsage >= rl.shortLimit - 1) return secondsUntilNextQuarterHour();
+  return 0;
+}
+
+function backoffDelayMs(attempt, res) {
+  const retryAfter = Number(res?.headers?.get('retry-after'));
+  if (Number.isFinite(retryAfter) && retryAfter > 0) return retryAfter * 1000;
+  const exp = Math.min(RETRY.maxDelayMs, RETRY.baseDelayMs * 2 ** attempt);
+  return exp / 2 + Math.random() * (exp / 2);
+}
+
+async function waitForRateLimit(waitS, label) {
+  if (waitS > RETRY.maxRateLimitWaitS) {
+    throw new StravaApiError(
+      `${label}: rate limit exhausted (need to wait ${Number.isFinite(waitS) ? `${waitS}s` : 'until tomorrow'})`,
+      { status: 429, rateLimited: true },
+    );
+  }
+  // eslint-disable-next-line no-console
+  console.warn(`[strava] ${label}: rate limited, waiting ${waitS}s`);
+  await sleep(waitS * 1000);
+}
+
+/**
+ * 带重试的 Strava 请求：
+ * - 429：按限流窗口等待后重试，等待过久则抛出 rateLimited 错误
+ * - 5xx / 网络错误：指数退避重试
+ * - 其他非 2xx：直接抛出 StravaApiError
+ */
+async function stravaRequest(pathname, init, label) {
+  for (let attempt = 0; ; attempt++) {
+    const preWait = rateLimitWaitSeconds(lastRateLimit);
+    if (preWait > 0) {
+      await waitForRateLimit(preWait, label);
+      lastRateLimit = null;
+    }
+
+    let res;
+    try {
+      res = await stravaFetch(pathname, init);
+    } catch (e) {
+      if (attempt >= RETRY.maxRetries) throw new StravaApiError(`${label} failed: ${e.message}`);
+      await sleep(backoffDelayMs(attempt));
+      continue;
+    }
+
+    lastRateLimit = readRateLimit(res.headers) ?? lastRateLimit;
+    if (res.ok) return res;
 
-  const res = await fetch('https://www.strava.com/oauth/token', {
-    method: 'POST',
-    headers: { 'content-type': 'application/json' },
-    body: JSON.stringify({
-      client_id,
-      client_secret,
-      refresh_token,
-      grant_type: 'refresh_token',
-    }),
-  });
-  if (!res.ok) {
     const text = await res.text();
-    throw new Error(`Strava token refresh failed: ${res.status} ${text}`);
+    if (res.status === 429) {
+      if (attempt >= RETRY.maxRetries) {
+        throw new StravaApiError(`${label} failed: ${res.status} ${text}`, { status: 429, rateLimited: true });
+      }
+      await waitForRateLimit(rateLimitWaitSeconds(lastRateLimit, { exhausted: true }), label);
+      lastRateLimit = null;
+      continue;
+    }
+    if (res.status >= 500 && attempt < RETRY.maxRetries) {
+      await sleep(backoffDelayMs(attempt, res));
+      continue;
+    }
+    throw new StravaApiError(`${label} failed: ${res.status} ${text}`, { status: res.status });
   }
+}
+
+async function stravaRefreshAccessToken() {
+  const client_id = getCredential('STRAVA_CLIENT_ID');
+  const client_secret = getCredential('STRAVA_CLIENT_SECRET');
+  const refresh_token = getCredential('STRAVA_REFRESH_TOKEN');
+
+  const res = await stravaRequest(
+    '/oauth/token',
+    {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({
+        client_id,
+        client_secret,
+        refresh_token,
+        grant_type: 'refresh_token',
+      }),
+    },
+    'Strava token refresh',
+  );
   const json = await res.json();
   if (!json.access_token) throw new Error('Strava token refresh response missing access_token');
   return { accessToken: json.access_token, athleteId: json.athlete?.id ?? null };
@@ -132,428 +318,788 @@ async function stravaRefreshAccessToken() {
 
 async function fetchAthleteStats({ accessToken, athleteId }) {
   if (!athleteId) return null;
-  const url = `https://www.strava.com/api/v3/athletes/${athleteId}/stats`;
-  const res = await fetch(url, {
-    headers: { authorization: `Bearer ${accessToken}` },
-  });
-  if (!res.ok) {
-    const text = await res.text();
-    throw new Error(`Strava athlete stats fetch failed: ${res.status} ${text}`);
-  }
+  const res = await stravaRequest(
+    `/api/v3/athletes/${athleteId}/stats`,
+    { headers: { authorization: `Bearer ${accessToken}` } },
+    'Strava athlete stats fetch',
+  );
   return await res.json();
 }
 
-async function fetchActivities({ accessToken, afterEpoch }) {
+/**
+ * 分页拉取活动列表。始终带上 after 参数，让 Strava 按时间升序返回，
+ * 这样中途新增的活动只会追加到末尾，页码可以安全续传。
+ *
+ * 返回 nextPage：本次没拉完时的下一页页码（null 表示已拉完），以及中断原因 stopReason。
+ */
+async function fetchActivities({ accessToken, afterEpoch, startPage = 1, maxPages = 20 }) {
   const out = [];
   const per_page = 200;
-  const maxPages = 20; // hard stop，避免异常情况下无限分页
-
-  for (let page = 1; page <= maxPages; page++) {
-    const url = new URL('https://www.strava.com/api/v3/athlete/activities');
-    url.searchParams.set('per_page', String(per_page));
-    url.searchParams.set('page', String(page));
-    if (afterEpoch && afterEpoch > 0) url.searchParams.set('after', String(afterEpoch));
-
-    const res = await fetch(url, {
-      headers: { authorization: `Bearer ${accessToken}` },
-    });
-    if (!res.ok) {
-      const text = await res.text();
-      throw new Error(`Strava activities fetch failed: ${res.status} ${text}`);
+  const lastPage = startPage + maxPages - 1; // 每次运行的页数上限，超出的部分下次续传
+
+  for (let page = startPage; page <= lastPage; page++) {
+    let res;
+    try {
+      res = await stravaRequest(
+        '/api/v3/athlete/activities',
+        {
+          searchParams: { per_page, page, after: Math.max(0, Number(afterEpoch) || 0) },
+          headers: { authorization: `Bearer ${accessToken}` },
+        },
+        'Strava activities fetch',
+      );
+    } catch (e) {
+      // 鉴权类错误续传也没用，直接失败
+      if (e instanceof StravaApiError && (e.status === 401 || e.status === 403)) throw e;
+      // eslint-disable-next-line no-console
+      console.warn(`[strava] activities page ${page} failed, will resume next run: ${e.message}`);
+      return { activities: out, nextPage: page, stopReason: e.rateLimited ? 'rate_limited' : 'error' };
     }
     const arr = await res.json();
     if (!Array.isArray(arr)) throw new Error('Strava activities response is not an array');
     out.push(...arr);
-    if (arr.length < per_page) break;
+    if (arr.length < per_page) return { activities: out, nextPage: null, stopReason: null };
   }
 
-  return out;
+  return { activities: out, nextPage: lastPage + 1, stopReason: 'max_pages' };
 }
 
 async function fetchActivityDetail({ accessToken, activityId }) {
-  const url = `https://www.strava.com/api/v3/activities/${activityId}?include_all_efforts=false`;
-  const res = await fetch(url, {
-    headers: { authorization: `Bearer ${accessToken}` },
-  });
-  if (!res.ok) {
-    const text = await res.text();
-    throw new Error(`Strava activity detail fetch failed: ${res.status} ${text}`);
-  }
+  const res = await stravaRequest(
+    `/api/v3/activities/${activityId}`,
+    {
+      searchParams: { include_all_efforts: false },
+      headers: { authorization: `Bearer ${accessToken}` },
+    },
+    'Strava activity detail fetch',
+  );
   return await res.json();
 }
 
-function minimizeActivity(a) {
-  return {
-    id: a.id,
-    sport_type: a.sport_type || a.type,
-    name: a.name,
-    start_date: a.start_date, // UTC ISO
-    start_date_local: a.start_date_local,
-    distance_m: a.distance ?? null,
-    moving_time_s: a.moving_time ?? null,
-    elapsed_time_s: a.elapsed_time ?? null,
-    total_elevation_gain_m: a.total_elevation_gain ?? null,
-    calories_kcal: a.calories ?? null,
-    kilojoules_kj: a.kilojoules ?? null,
-    average_speed_mps: a.average_speed ?? null,
-    max_speed_mps: a.max_speed ?? null,
-    average_temp_c: a.average_temp ?? null,
-    average_watts: a.average_watts ?? null,
-    has_heartrate: a.has_heartrate ?? null,
-    average_heartrate: a.average_heartrate ?? null,
-    max_heartrate: a.max_heartrate ?? null,
-    device_name: a.device_name ?? null,
-    trainer: a.trainer ?? null,
-    commute: a.commute ?? null,
-    // internal: avoid re-fetching details for the same activity over and over
-    detail_attempted: a.detail_attempted ?? false,
-  };
+/**
+ * 拉取活动的数据流，返回 { [key]: { data: [...] } }（key_by_type 格式）
+ */
+async function fetchActivityStreams({ accessToken, activityId, keys }) {
+  const res = await stravaRequest(
+    `/api/v3/activities/${activityId}/streams`,
+    {
+      searchParams: { keys: keys.join(','), key_by_type: true },
+      headers: { authorization: `Bearer ${accessToken}` },
+    },
+    'Strava activity streams fetch',
+  );
+  return await res.json();
+}
+
+async function fetchGear({ accessToken, gearId }) {
+  const res = await stravaRequest(
+    `/api/v3/gear/${gearId}`,
+    { headers: { authorization: `Bearer ${accessToken}` } },
+    'Strava gear fetch',
+  );
+  return await res.json();
+}
+
+// 对账时比较的字段：Strava 上改名、改类型、裁剪轨迹都会体现在这些字段上
+const RECONCILE_FIELDS = [
+  'name',
+  'sport_type',
+  'start_date',
+  'start_date_local',
+  'distance_m',
+  'moving_time_s',
+  'elapsed_time_s',
+  'total_elevation_gain_m',
+  'trainer',
+  'commute',
+  'gear_id',
+];
+
+function epochOfActivity(a) {
+  return Math.floor(new Date(a?.start_date || 0).getTime() / 1000);
+}
+
+/**
+ * 用 Strava 上某个时间窗口内的完整活动列表，对账本地缓存：
+ * - 缓存里有、Strava 上没有 -> 已删除，从缓存移除
+ * - 两边都有但关键字段不同 -> 已编辑，用新数据覆盖（详情字段需要重新拉取）
+ * - Strava 上有、缓存里没有 -> 之前漏掉的，补进缓存
+ *
+ * remote 是原始 API 数据；只处理 start_date 晚于 windowStartEpoch 的活动，本地导入的活动原样保留。
+ */
+function reconcileActivities({ cached, remote, windowStartEpoch }) {
+  const remoteById = new Map(remote.filter((a) => a?.id).map((a) => [a.id, minimizeActivity(a)]));
+  const deleted = [];
+  const changed = [];
+  const added = [];
+  const out = [];
+
+  for (const a of cached) {
+    if (!a?.id || isImportedActivity(a) || epochOfActivity(a) <= windowStartEpoch) {
+      out.push(a);
+      continue;
+    }
+    const r = remoteById.get(a.id);
+    if (!r) {
+      deleted.push(a);
+      continue;
+    }
+    remoteById.delete(a.id);
+    // 早期缓存没有 gear_id / summary_polyline，直接补上，不算作编辑
+    if (a.gear_id === undefined) a.gear_id = r.gear_id;
+    if (a.summary_polyline === undefined) a.summary_polyline = r.summary_polyline;
+    const fields = RECONCILE_FIELDS.filter((k) => (a[k] ?? null) !== (r[k] ?? null));
+    if (fields.length === 0) {
+      out.push(a);
+      continue;
+    }
+    changed.push({ before: a, after: r, fields });
+    out.push(r);
+  }
+
+  for (const r of remoteById.values()) {
+    if (epochOfActivity(r) <= windowStartEpoch) continue;
+    added.push(r);
+    out.push(r);
+  }
+
+  return { activities: out, deleted, changed, added };
 }
 
-function parsePaceToSeconds(paceText) {
-  if (!paceText) return 0;
-  const match = paceText.match(/(\d+)'(\d+)''/);
-  if (!match) return 0;
-  const m = parseInt(match[1], 10);
-  const s = parseInt(match[2], 10);
-  return m * 60 + s;
+function describeActivity(a) {
+  const date = (a.start_date_local || a.start_date || '').slice(0, 10);
+  return `${a.id} ${date} ${a.sport_type || ''} "${a.name || ''}"`;
 }
 
-function computeSportsStats({ baseline, activities, athleteStats }) {
-  const runs = activities.filter(isRun);
-  const rides = activities.filter(isRide);
+function printReconcileSummary({ windowDays, checked, deleted, changed, added }) {
+  const lines = [`[strava] reconcile last ${windowDays} days: ${checked} remote activities checked`];
+  for (const a of deleted) lines.push(`  - deleted ${describeActivity(a)}`);
+  for (const { before, after, fields } of changed) {
+    const diff = fields.map((k) => `${k}: ${JSON.stringify(before[k] ?? null)} -> ${JSON.stringify(after[k] ?? null)}`);
+    lines.push(`  ~ changed ${describeActivity(after)} (${diff.join(', ')})`);
+  }
+  for (const a of added) lines.push(`  + added ${describeActivity(a)}`);
+  if (deleted.length + changed.length + added.length === 0) lines.push('  no differences');
+  // eslint-disable-next-line no-console
+  console.log(lines.join('\n'));
+}
 
-  const sum = (arr, pick) => arr.reduce((acc, x) => acc + (Number(pick(x)) || 0), 0);
+const sumBy = (arr, pick) => arr.reduce((acc, x) => acc + (Number(pick(x)) || 0), 0);
 
-  // --- totals
-  // 总计优先用 athlete stats（与活动列表是不同 API，且更“官方总计”）
-  const statsAllRun = athleteStats?.all_run_totals ?? null;
-  const statsAllRide = athleteStats?.all_ride_totals ?? null;
+const emptyBucket = () => ({ distanceKm: 0, movingTimeHours: 0, count: 0 });
 
-  // 跑步：仍然需要加上 baseline（你已有历史跑量/PR）
-  const runDistanceKm =
-    (baseline.running?.totalDistanceKm || 0) +
-    (statsAllRun?.distance != null ? Number(statsAllRun.distance) / 1000 : sum(runs, (a) => a.distance_m) / 1000);
+function addActivity(bucket, a) {
+  bucket.distanceKm += (Number(a.distance_m) || 0) / 1000;
+  bucket.movingTimeHours += (Number(a.moving_time_s) || 0) / 3600;
+  bucket.count += 1;
+}
 
-  const baselinePaceSec = parsePaceToSeconds(baseline.running?.avgPaceText);
-  const baselineTimeH = (baseline.running?.totalDistanceKm || 0) * baselinePaceSec / 3600;
+function addBaseline(bucket, b) {
+  bucket.distanceKm += b.distanceKm;
+  bucket.movingTimeHours += b.movingTimeHours;
+  bucket.count += b.count;
+}
 
-  const runTimeH =
-    baselineTimeH +
-    (statsAllRun?.moving_time != null ? Number(statsAllRun.moving_time) / 3600 : sum(runs, (a) => a.moving_time_s) / 3600);
+function groupMonthly(activities, baselineSummary) {
+  const m = new Map();
+  for (const a of activities) {
+    const key = localMonthKey(a);
+    if (!key) continue;
+    if (!m.has(key)) m.set(key, emptyBucket());
+    addActivity(m.get(key), a);
+  }
+  for (const [key, b] of Object.entries(baselineSummary.months)) {
+    if (!m.has(key)) m.set(key, emptyBucket());
+    addBaseline(m.get(key), b);
+  }
+  const out = Array.from(m.entries()).map(([month, x]) => ({ month, ...x }));
+  out.sort((a, b) => (a.month < b.month ? 1 : -1));
+  return out.map((x) => ({
+    month: x.month,
+    distanceKm: toFixedTrim(x.distanceKm, 2),
+    count: x.count,
+    movingTimeHours: toFixedTrim(x.movingTimeHours, 2),
+  }));
+}
 
-  // 骑行：完全依赖 Strava（不加 baseline）
-  const rideDistanceKm =
-    statsAllRide?.distance != null ? Number(statsAllRide.distance) / 1000 : sum(rides, (a) => a.distance_m) / 1000;
-  const rideTimeH =
-    statsAllRide?.moving_time != null ? Number(statsAllRide.moving_time) / 3600 : sum(rides, (a) => a.moving_time_s) / 3600;
-  const rideCount = statsAllRide?.count != null ? Number(statsAllRide.count) : rides.length;
+function computeYearlyStats(activities, baselineSummary, paceFormat) {
+  const years = {};
 
-  // 热量：athlete stats 里没有 calories；尽可能从 Strava 活动数据获得（calories 优先，其次用 kJ 换算）
-  const rideCalories = sum(rides, (a) => {
-    if (a.calories_kcal != null) return a.calories_kcal;
-    if (a.kilojoules_kj != null) return Number(a.kilojoules_kj) * 0.239006;
-    return 0;
+  for (const a of activities) {
+    const y = localYearKey(a);
+    if (!y) continue;
+    if (!years[y]) years[y] = emptyBucket();
+    addActivity(years[y], a);
+  }
+  for (const [y, b] of Object.entries(baselineSummary.years)) {
+    if (!years[y]) years[y] = emptyBucket();
+    addBaseline(years[y], b);
+  }
+
+  // Format output
+  const out = {};
+  Object.keys(years).sort().reverse().forEach(y => {
+    out[y] = {
+      distance: toFixedTrim(years[y].distanceKm, 2),
+      time: toFixedTrim(years[y].movingTimeHours, 1),
+      count: years[y].count,
+      paceText: formatPaceOrSpeed(years[y].distanceKm, years[y].movingTimeHours, paceFormat),
+    };
   });
+  return out;
+}
 
-  // --- cycling PR: farthest ride (from activities; stats API doesn't provide this)
-  const bestRide = rides.reduce(
-    (best, a) => {
-      const km = (Number(a.distance_m) || 0) / 1000;
-      return km > (best?.km ?? 0) ? { a, km } : best;
-    },
-    null,
-  );
-  const bestRideKm = bestRide?.km ?? 0;
-  const bestRideDate = bestRide?.a
-    ? formatDateYmdDot(bestRide.a.start_date_local || bestRide.a.start_date)
-    : null;
-  const bestRideAvgKmh = bestRide?.a?.average_speed_mps
-    ? (Number(bestRide.a.average_speed_mps) || 0) * 3.6
-    : null;
-  const bestRideSubtext = bestRideDate
-    ? bestRideAvgKmh
-      ? `~${toFixedTrim(bestRideAvgKmh, 1)} km/h @${bestRideDate}`
-      : `@${bestRideDate}`
-    : null;
-
-  // --- running PR: farthest (baseline vs strava)
-  const baselineFarthest = baseline.running?.best?.farthest;
-  const baselineFarthestKm = Number(baselineFarthest?.distanceKm || 0);
-  const bestRun = runs.reduce(
-    (best, a) => {
-      const km = (Number(a.distance_m) || 0) / 1000;
-      return km > (best?.km ?? 0) ? { a, km } : best;
-    },
-    null,
-  );
-  const bestRunKm = bestRun?.km ?? 0;
-
-  let farthestValue = `${toFixedTrim(baselineFarthestKm, 1)}`;
-  let farthestSubtext = baselineFarthest
-    ? `${baselineFarthest.paceText} @${baselineFarthest.dateText}`
-    : null;
-
-  if (bestRun && bestRunKm > baselineFarthestKm) {
-    const a = bestRun.a;
-    const km = bestRunKm;
-    const secPerKm = (Number(a.moving_time_s) || 0) / clamp(km, 0.001, 1e9);
-    const pace = formatPaceSecPerKm(secPerKm);
-    const date = formatDateYmdDot(a.start_date_local || a.start_date);
-    farthestValue = `${toFixedTrim(km, km >= 10 ? 1 : 2)}`;
-    farthestSubtext = pace ? `${pace} @${date}` : `@${date}`;
+/**
+ * 逐日数据衍生的统计：最近 N 个 ISO 周、连续运动天数、年度活跃天数、Eddington 数（只对以 km 计的分类）
+ */
+function computeTrainingStats(activities, { today, weeks, withEddington }) {
+  const days = dailyTotals(activities);
+  const dayKeys = [...days.keys()];
+  const out = {
+    weekly: weeklyTotals(days, { today, weeks }),
+    streaks: computeStreaks(dayKeys, { today }),
+    activeDays: activeDaysByYear(dayKeys),
+  };
+  if (withEddington) out.eddington = eddingtonNumber([...days.values()].map((d) => d.distanceKm));
+  return out;
+}
+
+/**
+ * 单个分类的通用统计：总计、最远一次、年度、月度。
+ * baseline（Strava 之外的历史数据）按时间段记录，总计 / 年度 / 月度都按同一份汇总叠加。
+ */
+function computeCategoryStats({ category, activities, athleteStats, baseline, today, weeks }) {
+  const base = summarizeBaseline(baseline);
+
+  // 总计优先用 athlete stats（与活动列表是不同 API，且更“官方总计”）；
+  // 本地导入的活动不在 athlete stats 里，使用 stats 总计时要单独加上
+  const totals = category.statsKey ? athleteStats?.[category.statsKey] ?? null : null;
+  const imported = activities.filter(isImportedActivity);
+  const distanceKm =
+    base.total.distanceKm +
+    (totals?.distance != null
+      ? (Number(totals.distance) + sumBy(imported, (a) => a.distance_m)) / 1000
+      : sumBy(activities, (a) => a.distance_m) / 1000);
+  const timeH =
+    base.total.movingTimeHours +
+    (totals?.moving_time != null
+      ? (Number(totals.moving_time) + sumBy(imported, (a) => a.moving_time_s)) / 3600
+      : sumBy(activities, (a) => a.moving_time_s) / 3600);
+  const count =
+    base.total.count + (totals?.count != null ? Number(totals.count) + imported.length : activities.length);
+
+  // 最远一次（stats API 不提供）：活动与 baseline.best.farthest 取更远者
+  let farthest = null;
+  for (const a of activities) {
+    const km = (Number(a.distance_m) || 0) / 1000;
+    if (km > (farthest?.distanceKm ?? 0)) {
+      farthest = {
+        distanceKm: km,
+        paceText: formatPaceOrSpeed(km, (Number(a.moving_time_s) || 0) / 3600, category.paceFormat),
+        date: formatDateYmdDot(a.start_date_local || a.start_date),
+        activityId: a.id,
+        href: isImportedActivity(a) ? null : `https://www.strava.com/activities/${a.id}`,
+      };
+    }
+  }
+  const baselineFarthest = baseline?.best?.farthest;
+  if (baselineFarthest && baselineFarthest.distanceKm > (farthest?.distanceKm ?? 0)) {
+    farthest = {
+      distanceKm: baselineFarthest.distanceKm,
+      paceText: baselineFarthest.paceText ?? baselineFarthest.speedText ?? null,
+      date: baselineFarthest.dateText ?? null,
+      activityId: null,
+      href: null,
+    };
   }
 
-  // --- 5K/10K: only compare if we can parse baseline and we find near-exact activities
-  const baseline5k = baseline.running?.best?.best5k;
-  const baseline10k = baseline.running?.best?.best10k;
-  const baseline5kSec = parseBaselineTimeToSec(baseline5k?.timeText);
-  const baseline10kSec = parseBaselineTimeToSec(baseline10k?.timeText);
+  return {
+    distanceKm,
+    timeH,
+    count,
+    farthest,
+    ...computeTrainingStats(activities, { today, weeks, withEddington: category.unit === 'km' }),
+    hasData: activities.length > 0 || base.total.count > 0 || base.total.distanceKm > 0 || Number(totals?.count) > 0,
+    years: computeYearlyStats(activities, base, category.paceFormat),
+    monthly: groupMonthly(activities, base),
+  };
+}
 
-  const findBestForDistance = (targetKm, toleranceKm) => {
+/**
+ * 通用卡片：总里程、总时长、累计次数、最远一次；不统计距离的分类（unit 为 null）只有时长和次数
+ */
+function categoryCards(category, s) {
+  const { unit } = category;
+  const distText = (km, digits) => toFixedTrim(distanceInUnit(km, unit), unit === 'm' ? 0 : digits);
+  const avgPace = formatPaceOrSpeed(s.distanceKm, s.timeH, category.paceFormat);
+  const cards = {};
+  if (unit) {
+    cards.totalDistance = { label: '总里程', value: distText(s.distanceKm, 2), unit, subtext: '历史累计' };
+  }
+  cards.totalTime = {
+    label: '总时长',
+    value: toFixedTrim(s.timeH, 2),
+    unit: 'h',
+    subtext: avgPace ? `~${avgPace}` : '累计时长',
+  };
+  cards.totalCount = {
+    label: '累计次数',
+    value: `${Math.trunc(s.count)}`,
+    unit: '次',
+    subtext: unit && s.count > 0 ? `~${distText(s.distanceKm / s.count, 1)} ${unit}/次` : null,
+  };
+  if (unit) {
+    const km = s.farthest?.distanceKm ?? 0;
+    cards.farthest = {
+      label: `最长${category.label}距离`,
+      value: distText(km, km >= 100 ? 1 : 2),
+      unit,
+      subtext: s.farthest
+        ? [s.farthest.paceText && `~${s.farthest.paceText}`, s.farthest.date && `@${s.farthest.date}`].filter(Boolean).join(' ') || null
+        : '暂无记录',
+      href: s.farthest?.href ?? null,
+    };
+  }
+  return cards;
+}
+
+/**
+ * 返回 { stats, records }：stats 写入 sports-stats.json，records 为当前的个人纪录（见 pb-history.mjs）
+ */
+function computeSportsStats({ baseline, activities, athleteStats, config, registry, gearDetails = {} }) {
+  const zones = resolveZones(config.zones);
+  const byCategory = new Map(registry.categories.map((c) => [c.key, []]));
+  for (const a of activities) byCategory.get(registry.categoryOf(a))?.push(a);
+  const runs = byCategory.get('running') ?? [];
+
+  // --- 跑步 PB（5K/10K/半马/全马 + config 里的自定义距离）
+  // 优先用活动里的分段成绩（Strava best_efforts 或由距离流算出），这样长距离活动里的最快一段也能算 PB；
+  // 没有分段数据的活动，退回“整条活动距离接近目标距离”的判断。再与 baseline 里的历史成绩比较取优。
+  const findBestForDistance = (targetKm) => {
+    const targetM = targetKm * 1000;
+    const toleranceKm = Math.max(0.08, targetKm * 0.012);
     let best = null;
+    const consider = (a, timeSec) => {
+      if (!(timeSec > 0)) return;
+      if (!best || timeSec < best.timeSec) best = { a, timeSec, paceSecPerKm: timeSec / targetKm };
+    };
     for (const a of runs) {
-      const km = (Number(a.distance_m) || 0) / 1000;
-      if (Math.abs(km - targetKm) > toleranceKm) continue;
-      const t = Number(a.moving_time_s) || 0;
-      if (t <= 0) continue;
-      if (!best || t < best.timeSec) {
-        best = { a, km, timeSec: t, paceSecPerKm: t / clamp(km, 0.001, 1e9) };
+      const effort = (a.best_efforts || []).find((e) => sameDistance(e.distance_m, targetM) && e.elapsed_time_s > 0);
+      if (effort) {
+        consider(a, Number(effort.elapsed_time_s));
+        continue;
       }
+      const km = (Number(a.distance_m) || 0) / 1000;
+      if (Math.abs(km - targetKm) <= toleranceKm) consider(a, Number(a.moving_time_s) || 0);
     }
     return best;
   };
 
-  const best5k = findBestForDistance(5, 0.08);
-  const best10k = findBestForDistance(10, 0.12);
-
-  const best5kChosen =
-    best5k && baseline5kSec != null ? (best5k.timeSec < baseline5kSec ? best5k : null) : null;
-  const best10kChosen =
-    best10k && baseline10kSec != null ? (best10k.timeSec < baseline10kSec ? best10k : null) : null;
-
-  const best5kValue = best5kChosen ? formatTimeMinTextFromSec(best5kChosen.timeSec) : baseline5k?.timeText ?? '';
-  const best5kUnit = baseline5k?.unit ?? 'min';
-  const best5kSub = best5kChosen
-    ? `${formatPaceSecPerKm(best5kChosen.paceSecPerKm)} @${formatDateYmdDot(best5kChosen.a.start_date_local || best5kChosen.a.start_date)}`
-    : baseline5k?.paceText ?? '';
-
-  const best10kValue = best10kChosen ? formatTimeMinTextFromSec(best10kChosen.timeSec) : baseline10k?.timeText ?? '';
-  const best10kUnit = baseline10k?.unit ?? 'min';
-  const best10kSub = best10kChosen
-    ? `${formatPaceSecPerKm(best10kChosen.paceSecPerKm)} @${formatDateYmdDot(best10kChosen.a.start_date_local || best10kChosen.a.start_date)}`
-    : baseline10k?.paceText ?? '';
-
-  const cyclingAvgKmPerRide = rideCount > 0 ? rideDistanceKm / rideCount : 0;
-
-  const monthKey = (dateLike) => {
-    const d = new Date(dateLike);
-    const y = d.getFullYear();
-    const m = pad2(d.getMonth() + 1);
-    return `${y}-${m}`;
-  };
-
-  const groupMonthly = (arr) => {
-    const m = new Map();
-    for (const a of arr) {
-      const key = monthKey(a.start_date_local || a.start_date);
-      const prev = m.get(key) || { month: key, distanceKm: 0, count: 0, movingTimeHours: 0 };
-      prev.distanceKm += (Number(a.distance_m) || 0) / 1000;
-      prev.movingTimeHours += (Number(a.moving_time_s) || 0) / 3600;
-      prev.count += 1;
-      m.set(key, prev);
+  const runningPbs = {};
+  for (const pb of config.running.pbDistances) {
+    const distanceKm = Number(pb.distanceKm);
+    if (!pb.key || !(distanceKm > 0)) continue;
+    const label = pb.label || `${toFixedTrim(distanceKm, 2)}K PB`;
+    const baselinePb = baseline.running.best[pb.key];
+    const baselineSec = parseBaselineTimeToSec(baselinePb?.timeText);
+    const best = findBestForDistance(distanceKm);
+
+    if (best && (baselineSec == null || best.timeSec < baselineSec)) {
+      const date = formatDateYmdDot(best.a.start_date_local || best.a.start_date);
+      runningPbs[pb.key] = {
+        label,
+        distanceKm,
+        value: formatDurationText(best.timeSec),
+        unit: best.timeSec < 3600 ? 'min' : '',
+        subtext: `${formatPaceSecPerKm(best.paceSecPerKm)} @${date}`,
+        timeSec: Math.round(best.timeSec),
+        date,
+        activityId: best.a.id,
+        href: isImportedActivity(best.a) ? null : `https://www.strava.com/activities/${best.a.id}`,
+      };
+    } else if (baselinePb?.timeText) {
+      runningPbs[pb.key] = {
+        label,
+        distanceKm,
+        value: baselinePb.timeText,
+        unit: baselinePb.unit ?? '',
+        subtext: baselinePb.paceText ?? null,
+        timeSec: baselineSec,
+        date: baselinePb.dateText ?? null,
+        activityId: null,
+        href: null,
+      };
+    } else {
+      runningPbs[pb.key] = {
+        label,
+        distanceKm,
+        value: '--',
+        unit: '',
+        subtext: '暂无记录',
+        timeSec: null,
+        date: null,
+        activityId: null,
+        href: null,
+      };
     }
-    const out = Array.from(m.values());
-    out.sort((a, b) => (a.month < b.month ? 1 : -1));
-    return out.map((x) => ({
-      month: x.month,
-      distanceKm: toFixedTrim(x.distanceKm, 2),
-      count: x.count,
-      movingTimeHours: toFixedTrim(x.movingTimeHours, 2),
-    }));
+  }
+
+  const pbCard = (key, label) => {
+    const pb = runningPbs[key];
+    if (!pb) return { label, value: '--', unit: '', subtext: '暂无记录' };
+    return { label: pb.label, value: pb.value, unit: pb.unit, subtext: pb.subtext, href: pb.href };
   };
 
-  const computeYearlyStats = (activities, baselineData = null) => {
-    const years = {};
-    const getYear = (dateStr) => new Date(dateStr).getFullYear().toString();
-    
-    // Process activities
-    for (const a of activities) {
-      const y = getYear(a.start_date_local || a.start_date);
-      if (!years[y]) years[y] = { distance: 0, time: 0, count: 0 };
-      years[y].distance += (Number(a.distance_m) || 0) / 1000;
-      years[y].time += (Number(a.moving_time_s) || 0) / 3600;
-      years[y].count += 1;
+  const today = todayKey(config.timeZone);
+  // 所有已注册分类合在一起的连续天数 / 活跃天数
+  const { streaks, activeDays } = computeTrainingStats(
+    activities.filter((a) => registry.categoryOf(a) != null),
+    { today, weeks: 0, withEddington: false },
+  );
+  const out = { schemaVersion: SCHEMA_VERSIONS.stats, generatedAt: new Date().toISOString(), categories: [], overall: { streaks, activeDays } };
+  // 当前纪录（跑步 PB + 各分类最远一次），用于 pb-history.json
+  const records = Object.entries(runningPbs)
+    .filter(([, pb]) => pb.timeSec > 0)
+    .map(([key, pb]) => ({ category: 'running', key, kind: 'time', ...pb }));
+  for (const category of registry.categories) {
+    const s = computeCategoryStats({
+      category,
+      activities: byCategory.get(category.key),
+      athleteStats,
+      baseline: baseline[category.key],
+      today,
+      weeks: config.weeklyWeeks,
+    });
+    // 跑步有 baseline 历史数据，始终展示；其它分类没有任何数据时不生成
+    if (!s.hasData && category.key !== 'running') continue;
+
+    const section = {
+      label: category.label,
+      unit: category.unit,
+      paceFormat: category.paceFormat,
+      years: s.years,
+      cards: categoryCards(category, s),
+      monthly: s.monthly,
+      weekly: s.weekly,
+      streaks: s.streaks,
+      activeDays: s.activeDays,
+    };
+    if (s.eddington) section.eddington = s.eddington;
+    if (category.unit && s.farthest?.distanceKm > 0) {
+      const digits = category.unit === 'm' ? 0 : 2;
+      records.push({
+        category: category.key,
+        key: 'farthest',
+        kind: 'distance',
+        label: `最长${category.label}距离`,
+        value: toFixedTrim(distanceInUnit(s.farthest.distanceKm, category.unit), digits),
+        unit: category.unit,
+        timeSec: null,
+        ...s.farthest,
+      });
     }
-
-    // Process baseline if provided (Assume baseline belongs to 2025 based on context "2025.06起")
-    // If you need more granular control, baseline.json needs a "year" field.
-    if (baselineData) {
-      const bDist = baselineData.totalDistanceKm || 0;
-      const bPace = parsePaceToSeconds(baselineData.avgPaceText);
-      const bTime = (bDist * bPace) / 3600;
-      // Hardcoded assignment of baseline to 2025 as per user context
-      if (!years['2025']) years['2025'] = { distance: 0, time: 0, count: 0 };
-      years['2025'].distance += bDist;
-      years['2025'].time += bTime;
-      // Count is unknown in baseline, ignore or estimate? 
-      // Keeping it 0 for baseline part to avoid skewing "avg per ride" if used, 
-      // but strictly speaking we don't have baseline count.
+    // 心率 / 功率区间与有氧效率（只在有数据时输出）
+    const zoneStats = monthlyZoneStats(byCategory.get(category.key), zones);
+    if (Object.keys(zoneStats).length > 0) section.zones = zoneStats;
+    if (category.unit) {
+      const efficiency = monthlyEfficiency(byCategory.get(category.key));
+      if (efficiency.length > 0) section.efficiency = efficiency;
     }
 
-    // Format output
-    const out = {};
-    Object.keys(years).sort().reverse().forEach(y => {
-      out[y] = {
-        distance: toFixedTrim(years[y].distance, 2),
-        time: toFixedTrim(years[y].time, 1),
-        count: years[y].count
-      };
-    });
-    return out;
-  };
-
-  const runYears = computeYearlyStats(runs, baseline.running);
-  const rideYears = computeYearlyStats(rides); // No baseline for cycling logic in original script? 
-  // Wait, original script had: cycling statsAllRide (totals) but no baseline file usage for cycling separate from stats.
-  // Actually baseline.json HAS cycling data: "totalDistanceKm": 1455.36
-  // But original script logic was:
-  // "骑行：完全依赖 Strava（不加 baseline）" -> "const rideDistanceKm = statsAllRide?.distance ..."
-  // However, statsAllRide comes from Strava "All Time" stats.
-  // To get yearly breakdown including historical non-strava data if any, we'd need it.
-  // But since the comment says "Depend entirely on Strava", I will stick to activities for the yearly breakdown.
-  // NOTE: Strava API "statsAllRide" gives TOTALs. Individual activities give yearly data.
-  // If Strava has all history, summing activities = total.
-  
-  return {
-    generatedAt: new Date().toISOString(),
-    running: {
-      years: runYears,
-      cards: {
+    if (category.key === 'running') {
+      section.cards = {
         totalDistance: {
-          label: `总跑量(${baseline.running?.sinceLabel || '累计'})`,
-          value: toFixedTrim(runDistanceKm, 2),
+          label: `总跑量(${baseline.running.sinceLabel || '累计'})`,
+          value: toFixedTrim(s.distanceKm, 2),
           unit: 'km',
-          subtext: baseline.running?.avgPaceText || null,
+          subtext: baseline.running.avgPaceText || null,
         },
         totalTime: {
           label: '总时长',
-          value: toFixedTrim(runTimeH, 1),
+          value: toFixedTrim(s.timeH, 1),
           unit: 'h',
           subtext: '在路上的时间',
         },
-        halfMarathon: {
-          label: '半马 PB',
-          value: '--',
-          unit: '',
-          subtext: '暂无记录',
-        },
-        fullMarathon: {
-          label: '全马 PB',
-          value: '--',
-          unit: '',
-          subtext: '暂无记录',
-        },
-      },
-      monthly: groupMonthly(runs),
-    },
-    cycling: {
-      years: rideYears,
-      cards: {
-        totalDistance: {
-          label: '总里程',
-          value: toFixedTrim(rideDistanceKm, 2),
-          unit: 'km',
-          subtext: '历史累计',
-        },
-        totalTime: {
-          label: '总时长',
-          value: toFixedTrim(rideTimeH, 2),
-          unit: 'h',
-          subtext: '在路上的时间',
-        },
-        totalCount: {
-          label: '累计次数',
-          value: `${Math.trunc(rideCount)}`,
-          unit: '次',
-          subtext: rideCount > 0 ? `~${toFixedTrim(cyclingAvgKmPerRide, 1)} km/次` : null,
-        },
-        farthest: {
-          label: '最长骑行距离',
-          value: toFixedTrim(bestRideKm, bestRideKm >= 100 ? 1 : 2),
-          unit: 'km',
-          subtext: bestRideSubtext,
-        },
-      },
-      monthly: groupMonthly(rides),
-    },
-  };
+        halfMarathon: pbCard('halfMarathon', '半马 PB'),
+        fullMarathon: pbCard('fullMarathon', '全马 PB'),
+      };
+      section.pbs = runningPbs;
+    } else if (category.key === 'cycling') {
+      section.cards.totalCount.subtext = s.count > 0 ? `~${toFixedTrim(s.distanceKm / s.count, 1)} km/次` : null;
+      section.cards.totalTime.subtext = '在路上的时间';
+    }
+
+    out.categories.push({ key: category.key, label: category.label, unit: category.unit, paceFormat: category.paceFormat });
+    out[category.key] = section;
+  }
+
+  const gear = computeGearStats(activities, gearDetails, config.gear);
+  if (gear.length > 0) out.gear = gear;
+  return { stats: out, records };
+}
+
+/**
+ * 为新纪录写碎碎念草稿；同名文件已存在时跳过（不覆盖人工修改过的草稿）。返回写入的文件路径
+ */
+async function writePbGossipDrafts(improved, { tag }) {
+  const written = [];
+  for (const item of improved) {
+    if (item.record.activityId == null) continue; // baseline 里手填的纪录不算“刷新”
+    const { fileName, content } = pbGossipDraft(item, { tag });
+    const file = path.join(PATHS.gossips, fileName);
+    try {
+      await fs.writeFile(file, content, { encoding: 'utf8', flag: 'wx' });
+      written.push(path.relative(ROOT, file));
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+    }
+  }
+  return written;
 }
 
 async function main() {
-  const baseline = await readJson(PATHS.baseline, {});
-  const state = await readJson(PATHS.state, { lastSyncEpoch: 0, updatedAt: null });
-  const cachedActivities = await readJson(PATHS.activities, []);
+  // 回放模式默认不碰仓库里的数据：拷贝一份到临时目录，输出也写在那里（指定 STRAVA_DATA_DIR 时直接读写该目录）
+  let dataDir = DATA_DIR_OVERRIDE ?? ROOT;
+  if (STRAVA_REPLAY_DIR && !DATA_DIR_OVERRIDE) {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'strava-replay-'));
+    await useDataDir(dataDir);
+    // eslint-disable-next-line no-console
+    console.log(`[strava] replay mode: writing data to ${dataDir} (set STRAVA_DATA_DIR to choose the directory)`);
+  }
+
+  const config = await readSyncConfig();
+  const registry = buildSportRegistry(config.sports);
+  const rawBaseline = await readJson(PATHS.baseline, null);
+  const baseline = normalizeBaseline(rawBaseline ?? {}, registry.categories.map((c) => c.key));
+  const state = await readState();
+  const cachedActivities = await readActivities();
 
   const afterEpochFromState = Number(state.lastSyncEpoch) || 0;
-  const afterEpoch =
-    afterEpochFromState > 0
+  // 上次同步被中断（限流/页数上限/错误）时，state.pageCursor 记录了续传位置
+  const cursor = state.pageCursor && Number(state.pageCursor.page) > 1 ? state.pageCursor : null;
+  const afterEpoch = cursor
+    ? Number(cursor.afterEpoch) || 0
+    : afterEpochFromState > 0
       ? afterEpochFromState
       : Number(process.env.STRAVA_INITIAL_AFTER_EPOCH || 0) || 0;
 
   const { accessToken, athleteId } = await stravaRefreshAccessToken();
   const athleteStats = await fetchAthleteStats({ accessToken, athleteId });
-  const fresh = await fetchActivities({ accessToken, afterEpoch });
+  const {
+    activities: fresh,
+    nextPage,
+    stopReason,
+  } = await fetchActivities({
+    accessToken,
+    afterEpoch,
+    startPage: cursor ? Number(cursor.page) : 1,
+    maxPages: Number(process.env.STRAVA_MAX_PAGES || 20),
+  });
   const freshIds = new Set(fresh.map((a) => a?.id).filter(Boolean));
 
   const map = new Map();
   for (const a of cachedActivities) map.set(a.id, a);
   for (const a of fresh) map.set(a.id, minimizeActivity(a));
 
-  const merged = Array.from(map.values()).filter((a) => a && a.id);
-  merged.sort((a, b) => {
-    const da = new Date(a.start_date || 0).getTime();
-    const db = new Date(b.start_date || 0).getTime();
-    return db - da;
-  });
+  // 周期性对账：拉取最近 N 天的完整列表，发现 Strava 上已删除/已编辑的活动
+  // 触发条件：命令行 --reconcile，或距上次对账超过 STRAVA_RECONCILE_EVERY_DAYS 天
+  const reconcileDays = Number(process.env.STRAVA_RECONCILE_DAYS || 90);
+  const reconcileEveryDays = Number(process.env.STRAVA_RECONCILE_EVERY_DAYS ?? 7);
+  const lastReconciledMs = state.lastReconciledAt ? new Date(state.lastReconciledAt).getTime() : 0;
+  const reconcileDue =
+    process.argv.includes('--reconcile') ||
+    (reconcileEveryDays > 0 && Date.now() - lastReconciledMs >= reconcileEveryDays * 86400_000);
+  let lastReconciledAt = state.lastReconciledAt ?? null;
+  let reconcileSummary = null;
+  // 增量同步都没跑完时（回填中/限流）先不对账，避免额度被抢占
+  if (reconcileDue && reconcileDays > 0 && nextPage == null) {
+    const windowStartEpoch = Math.floor(Date.now() / 1000) - Math.round(reconcileDays * 86400);
+    const remote = await fetchActivities({ accessToken, afterEpoch: windowStartEpoch, maxPages: 50 });
+    if (remote.nextPage == null) {
+      const result = reconcileActivities({
+        cached: Array.from(map.values()),
+        remote: remote.activities,
+        windowStartEpoch,
+      });
+      map.clear();
+      for (const a of result.activities) map.set(a.id, a);
+      // 被编辑/新补的活动需要重新拉详情
+      for (const { after } of result.changed) freshIds.add(after.id);
+      for (const a of result.added) freshIds.add(a.id);
+      printReconcileSummary({ windowDays: reconcileDays, checked: remote.activities.length, ...result });
+      lastReconciledAt = new Date().toISOString();
+      reconcileSummary = {
+        windowDays: reconcileDays,
+        deleted: result.deleted.map((a) => a.id),
+        changed: result.changed.map(({ after }) => after.id),
+        added: result.added.map((a) => a.id),
+      };
+    } else {
+      // eslint-disable-next-line no-console
+      console.warn(`[strava] reconcile skipped: activity list incomplete (${remote.stopReason})`);
+    }
+  }
+
+  // 本地导入后又上传到 Strava 的运动，以 Strava 的记录为准
+  const deduped = dropImportedTwins(Array.from(map.values()).filter((a) => a && a.id));
+  for (const { imported, strava } of deduped.dropped) {
+    // eslint-disable-next-line no-console
+    console.log(`[strava] imported activity ${imported.id} is now on Strava as ${strava.id}, dropping the imported copy`);
+  }
+  const merged = sortActivitiesDesc(deduped.activities);
 
   // 尽可能补齐热量：对缺少 calories/kJ 的活动，按需拉活动详情（有上限，避免过多请求）
+  // 只对“本次新增/更新的活动”以及上次没拉成功的活动（state.detailPendingIds）尝试，减少重复请求。
+  // 跑步 PB 需要分段成绩：还没有 best_efforts 的跑步会补拉详情，Strava 不提供的距离再用距离流计算。
+  // 配置了心率 / 功率区间时，同一次数据流请求顺带拉取心率和功率。
   const detailMax = Number(process.env.STRAVA_DETAIL_MAX || 30);
+  const pbDistancesM = config.running.pbDistances.map((pb) => Number(pb.distanceKm) * 1000).filter((d) => d > 0);
+  const minPbDistanceM = Math.min(...pbDistancesM);
+  const isPbCandidate = (a) => registry.categoryOf(a) === 'running' && !isImportedActivity(a) && (Number(a.distance_m) || 0) >= minPbDistanceM;
+  const needsBestEfforts = (a) => isPbCandidate(a) && a.best_efforts === undefined;
+  const missingPbDistances = (a) =>
+    isPbCandidate(a) && Array.isArray(a.best_efforts)
+      ? pbDistancesM.filter(
+          (d) => d <= (Number(a.distance_m) || 0) && !a.best_efforts.some((e) => sameDistance(e.distance_m, d)),
+        )
+      : [];
+  // 心率 / 功率区间需要数据流：有平均值、但还没有直方图的活动补拉（拿不到时记为 null，不再重复请求）
+  const zones = resolveZones(config.zones);
+  const missingZoneMetrics = (a) =>
+    Object.keys(zones).filter((m) => Number(a[ZONE_METRICS[m].averageKey]) > 0 && a[ZONE_METRICS[m].histKey] === undefined);
+  // 拿不到分段数据的距离记为 null，避免每次同步都重复请求
+  const markPbDistancesUnavailable = (a) => {
+    if (!isPbCandidate(a)) return;
+    a.best_efforts = [
+      ...(a.best_efforts || []),
+      ...missingPbDistances({ ...a, best_efforts: a.best_efforts || [] }).map((d) => ({
+        distance_m: d,
+        elapsed_time_s: null,
+      })),
+    ];
+  };
+
+  const pendingBefore = new Set(Array.isArray(state.detailPendingIds) ? state.detailPendingIds : []);
+  const detailPending = new Set();
   let detailFetched = 0;
-  if (detailMax > 0) {
-    for (const a of merged) {
-      if (detailFetched >= detailMax) break;
-      if (!a?.id) continue;
-      // 只对“本次新增/更新的活动”尝试拉详情，减少重复请求
-      if (!freshIds.has(a.id)) continue;
-      if (a.detail_attempted) continue;
-      if (a.calories_kcal != null || a.kilojoules_kj != null) {
-        a.detail_attempted = true;
-        continue;
-      }
-      try {
+  let detailFailed = 0;
+  let detailRateLimited = false;
+  for (const a of merged) {
+    if (!a?.id || isImportedActivity(a)) continue;
+    const candidate = freshIds.has(a.id) || pendingBefore.has(a.id);
+    if (candidate && (a.calories_kcal != null || a.kilojoules_kj != null)) a.detail_attempted = true;
+    const wantsDetail = (candidate && !a.detail_attempted) || needsBestEfforts(a);
+    if (!wantsDetail && missingPbDistances(a).length === 0 && missingZoneMetrics(a).length === 0) continue;
+    if (detailFetched >= detailMax || detailRateLimited) {
+      if (candidate) detailPending.add(a.id);
+      continue;
+    }
+    try {
+      if (wantsDetail) {
         const d = await fetchActivityDetail({ accessToken, activityId: a.id });
         const patch = minimizeActivity(d);
         Object.assign(a, patch);
+        a.detail_attempted = true;
         detailFetched += 1;
-      } catch {
-        // 忽略单条失败，避免整次同步失败
-      } finally {
+        // 非 GPS 跑步（手动记录等）详情里没有 best_efforts
+        if (isPbCandidate(a) && a.best_efforts === undefined) a.best_efforts = [];
+      }
+      const missing = missingPbDistances(a);
+      const zoneMetrics = missingZoneMetrics(a);
+      if ((missing.length > 0 || zoneMetrics.length > 0) && detailFetched < detailMax) {
+        const keys = [
+          'time',
+          ...(missing.length > 0 ? ['distance'] : []),
+          ...zoneMetrics.map((m) => ZONE_METRICS[m].streamKey),
+        ];
+        const streams = await fetchActivityStreams({ accessToken, activityId: a.id, keys });
+        if (missing.length > 0) {
+          a.best_efforts = [
+            ...a.best_efforts,
+            ...bestEffortsFromStream(streams?.time?.data, streams?.distance?.data, missing),
+          ];
+        }
+        for (const m of zoneMetrics) {
+          Object.assign(a, zoneHistogramFields(m, streams?.time?.data, streams?.[ZONE_METRICS[m].streamKey]?.data));
+        }
+        detailFetched += 1;
+      }
+    } catch (e) {
+      if (e instanceof StravaApiError && e.status === 404) {
+        // 活动已删除或不可见，不再重试
         a.detail_attempted = true;
+        markPbDistancesUnavailable(a);
+        for (const m of missingZoneMetrics(a)) a[ZONE_METRICS[m].histKey] = null;
+        continue;
+      }
+      if (e instanceof StravaApiError && (e.status === 401 || e.status === 403)) throw e;
+      // 单条失败不影响整次同步，留到下次重试
+      detailFailed += 1;
+      if (candidate) detailPending.add(a.id);
+      if (e.rateLimited) detailRateLimited = true;
+      // eslint-disable-next-line no-console
+      console.warn(`[strava] activity ${a.id} detail failed, will retry next run: ${e.message}`);
+    }
+  }
+
+  // 装备详情：缓存里没有的装备，以及本次新活动用到的装备（Strava 上的总里程会变）重新拉取
+  const gearCache = await readJson(PATHS.gear, {});
+  const gearMax = Number(process.env.STRAVA_GEAR_MAX || 10);
+  const gearIds = new Set();
+  for (const a of merged) {
+    if (a?.gear_id && (!gearCache[a.gear_id] || freshIds.has(a.id))) gearIds.add(a.gear_id);
+  }
+  let gearFetched = 0;
+  for (const gearId of gearIds) {
+    if (gearFetched >= gearMax || detailRateLimited) break;
+    try {
+      gearCache[gearId] = { ...minimizeGear(await fetchGear({ accessToken, gearId })), fetchedAt: new Date().toISOString() };
+      gearFetched += 1;
+    } catch (e) {
+      if (e instanceof StravaApiError && e.status === 404) {
+        // 装备已删除：记一条空记录，不再重复请求
+        gearCache[gearId] = { ...minimizeGear({ id: gearId }), fetchedAt: new Date().toISOString() };
+        continue;
       }
+      if (e instanceof StravaApiError && (e.status === 401 || e.status === 403)) throw e;
+      if (e.rateLimited) detailRateLimited = true;
+      // eslint-disable-next-line no-console
+      console.warn(`[strava] gear ${gearId} fetch failed, will retry next run: ${e.message}`);
     }
   }
 
   // next sync point: newest activity time - 60s (避免边界漏数据)
+  // 分页没拉完时水位保持不变，只记录续传位置
   const newest = merged[0];
   const newestEpoch = newest?.start_date ? Math.floor(new Date(newest.start_date).getTime() / 1000) : 0;
-  const nextAfterEpoch = newestEpoch > 0 ? Math.max(0, newestEpoch - 60) : afterEpochFromState;
-
-  const stats = computeSportsStats({ baseline, activities: merged, athleteStats });
-
-  await writeJson(PATHS.activities, merged);
-  await writeJson(PATHS.state, { lastSyncEpoch: nextAfterEpoch, updatedAt: new Date().toISOString() });
+  const nextAfterEpoch =
+    nextPage == null && newestEpoch > 0 ? Math.max(0, newestEpoch - 60) : afterEpochFromState;
+  const pageCursor = nextPage == null ? null : { afterEpoch, page: nextPage };
+
+  const { stats, records } = computeSportsStats({ baseline, activities: merged, athleteStats, config, registry, gearDetails: gearCache });
+  const { history: pbHistory, improved } = updatePbHistory(await readPbHistory(), records);
+
+  validateStats(stats);
+
+  await writeActivities(merged);
+  if (Object.keys(gearCache).length > 0) await writeJson(PATHS.gear, gearCache);
+  // 旧版本的 baseline.json 迁移后写回（内容不变，只是升级格式）
+  const baselineUpgrade = rawBaseline ? upgradeBaseline(rawBaseline) : null;
+  if (baselineUpgrade?.migrated) await writeJson(PATHS.baseline, serializeBaseline(baselineUpgrade.data));
+  await writeState({
+    lastSyncEpoch: nextAfterEpoch,
+    updatedAt: new Date().toISOString(),
+    ...(lastReconciledAt ? { lastReconciledAt } : {}),
+    ...(pageCursor ? { pageCursor } : {}),
+    ...(detailPending.size > 0 ? { detailPendingIds: Array.from(detailPending) } : {}),
+  });
   await writeJson(PATHS.outStats, stats);
+  await writePbHistory(pbHistory);
+  const gossipDrafts = config.records.gossip ? await writePbGossipDrafts(improved, config.records) : [];
+  for (const { record, previous } of improved) {
+    // eslint-disable-next-line no-console
+    console.log(`[strava] new record ${record.label}: ${previous.value} -> ${record.value}${record.date ? ` @${record.date}` : ''}`);
+  }
 
   // eslint-disable-next-line no-console
   console.log(
@@ -562,7 +1108,20 @@ async function main() {
         fetched: fresh.length,
         cached_before: cachedActivities.length,
         cached_after: merged.length,
+        importedReplaced: deduped.dropped.map(({ imported }) => imported.id),
         detailFetched,
+        detailFailed,
+        detailPending: detailPending.size,
+        gearFetched,
+        newRecords: improved.length,
+        gossipDrafts,
+        resumedFromPage: cursor ? Number(cursor.page) : null,
+        stopReason,
+        pageCursor,
+        reconcile: reconcileSummary,
+        mode: STRAVA_REPLAY_DIR ? 'replay' : 'live',
+        dataDir,
+        apiBase: STRAVA_REPLAY_DIR ? null : STRAVA_API_BASE,
         athleteId,
         hasAthleteStats: !!athleteStats,
         nextAfterEpoch,
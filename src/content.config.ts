@@ -23,6 +23,9 @@ const blog = defineCollection({
 			heroImage: image().optional(),
 			categories: z.array(z.string()).optional(),
 			tags: z.array(z.string()).optional(),
+			// 系列：同名的文章按 seriesOrder 排序（见 src/utils/series.ts），未填 seriesOrder 的按发布时间排在后面
+			series: z.string().optional(),
+			seriesOrder: z.number().int().positive().optional(),
 			draft: z.boolean().default(false),
 		}),
 });
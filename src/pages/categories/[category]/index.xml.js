@@ -0,0 +1,27 @@
+import { SITE_TITLE } from '../../../consts';
+import { postFeedItems, rssResponse } from '../../../utils/feed';
+import { getPosts, groupPosts } from '../../../utils/taxonomy';
+
+// 每个分类一个订阅源，与 /categories/<category> 页面使用同一份聚合
+export async function getStaticPaths() {
+	const groups = groupPosts(await getPosts('zh'), 'categories');
+	return Array.from(groups, ([category, posts]) => ({
+		params: { category },
+		props: { posts, category },
+	}));
+}
+
+export async function GET({ props, site }) {
+	const { posts, category } = props;
+	return rssResponse(
+		{
+			title: `${SITE_TITLE} · 分类：${category}`,
+			description: `分类 "${category}" 下的所有文章`,
+			site,
+			homePath: `/categories/${category}/`,
+			feedPath: `/categories/${category}/index.xml`,
+			language: 'zh-CN',
+		},
+		await postFeedItems(posts, site),
+	);
+}
@@ -0,0 +1,13 @@
+import { SITE_DESCRIPTION, SITE_TITLE } from '../../consts';
+import { postFeedItems, rssResponse } from '../../utils/feed';
+import { getPosts } from '../../utils/taxonomy';
+
+// 英文文章（en/ 前缀）的订阅源，与中文的 /index.xml 分开
+export async function GET(context) {
+	const posts = await getPosts('en');
+
+	return rssResponse(
+		{ title: SITE_TITLE, description: SITE_DESCRIPTION, site: context.site, homePath: '/en/', feedPath: '/en/index.xml', language: 'en' },
+		await postFeedItems(posts, context.site),
+	);
+}
@@ -0,0 +1,10 @@
+import { buildSearchIndex } from '../../utils/search';
+import { getSearchDocs } from '../../utils/searchDocs';
+
+// 英文站的全文搜索索引（只含 en/ 下的文章和页面）
+export async function GET() {
+	const index = buildSearchIndex(await getSearchDocs('en'));
+	return new Response(JSON.stringify(index), {
+		headers: { 'Content-Type': 'application/json; charset=utf-8' },
+	});
+}
@@ -0,0 +1,13 @@
+import { SITE_DESCRIPTION, SITE_TITLE } from '../consts';
+import { jsonFeedResponse, postFeedItems } from '../utils/feed';
+import { getPosts } from '../utils/taxonomy';
+
+export async function GET(context) {
+	// 排除英文文章（en/ 前缀），英文订阅源见 /en/index.xml
+	const posts = await getPosts('zh');
+
+	return jsonFeedResponse(
+		{ title: SITE_TITLE, description: SITE_DESCRIPTION, site: context.site, homePath: '/', feedPath: '/feed.json', language: 'zh-CN' },
+		await postFeedItems(posts, context.site),
+	);
+}
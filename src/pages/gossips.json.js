@@ -0,0 +1,18 @@
+import { SITE_TITLE } from '../consts';
+import { gossipFeedItems, jsonFeedResponse } from '../utils/feed';
+import { getGossips } from '../utils/gossips';
+
+// 碎碎念的 JSON Feed，与 /gossips.xml 内容相同
+export async function GET(context) {
+	return jsonFeedResponse(
+		{
+			title: `${SITE_TITLE} · 碎碎念`,
+			description: '记录一些临时的想法和日常片段',
+			site: context.site,
+			homePath: '/shuoshuo',
+			feedPath: '/gossips.json',
+			language: 'zh-CN',
+		},
+		gossipFeedItems(await getGossips(), context.site),
+	);
+}
@@ -0,0 +1,18 @@
+import { SITE_TITLE } from '../consts';
+import { gossipFeedItems, rssResponse } from '../utils/feed';
+import { getGossips } from '../utils/gossips';
+
+// 碎碎念单独订阅，不混进文章的 /index.xml
+export async function GET(context) {
+	return rssResponse(
+		{
+			title: `${SITE_TITLE} · 碎碎念`,
+			description: '记录一些临时的想法和日常片段',
+			site: context.site,
+			homePath: '/shuoshuo',
+			feedPath: '/gossips.xml',
+			language: 'zh-CN',
+		},
+		gossipFeedItems(await getGossips(), context.site),
+	);
+}
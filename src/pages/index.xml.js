@@ -1,24 +1,13 @@
-import { getCollection } from 'astro:content';
-import rss from '@astrojs/rss';
-import { SITE_DESCRIPTION, SITE_TITLE, SITE_AUTHOR } from '../consts';
-import { filterDrafts } from '../utils/drafts';
+import { SITE_DESCRIPTION, SITE_TITLE } from '../consts';
+import { postFeedItems, rssResponse } from '../utils/feed';
+import { getPosts } from '../utils/taxonomy';
 
 export async function GET(context) {
-	// 排除英文文章（en/ 前缀），避免 RSS 中英文混在一起
-	const posts = filterDrafts(await getCollection('blog')).filter((post) => !post.id.startsWith('en/'));
-	posts.sort((a, b) => b.data.pubDate - a.data.pubDate);
+	// 排除英文文章（en/ 前缀），英文订阅源见 /en/index.xml
+	const posts = await getPosts('zh');
 
-	return rss({
-		title: SITE_TITLE,
-		description: SITE_DESCRIPTION,
-		site: context.site,
-		items: posts.map((post) => ({
-			title: post.data.title,
-			author: SITE_AUTHOR,
-			link: `/blog/${post.id}.html`,
-			pubDate: post.data.pubDate,
-			description: post.summary,
-			content: post.body,
-		})),
-	});
+	return rssResponse(
+		{ title: SITE_TITLE, description: SITE_DESCRIPTION, site: context.site, homePath: '/', feedPath: '/index.xml', language: 'zh-CN' },
+		await postFeedItems(posts, context.site),
+	);
 }
@@ -0,0 +1,10 @@
+import { buildSearchIndex } from '../utils/search';
+import { getSearchDocs } from '../utils/searchDocs';
+
+// 中文站的全文搜索索引，由搜索弹窗在第一次打开时加载
+export async function GET() {
+	const index = buildSearchIndex(await getSearchDocs('zh'));
+	return new Response(JSON.stringify(index), {
+		headers: { 'Content-Type': 'application/json; charset=utf-8' },
+	});
+}
@@ -0,0 +1,27 @@
+import { SITE_TITLE } from '../../../consts';
+import { postFeedItems, rssResponse } from '../../../utils/feed';
+import { getPosts, groupPosts } from '../../../utils/taxonomy';
+
+// 每个标签一个订阅源，与 /tags/<tag> 页面使用同一份聚合
+export async function getStaticPaths() {
+	const groups = groupPosts(await getPosts('zh'), 'tags');
+	return Array.from(groups, ([tag, posts]) => ({
+		params: { tag },
+		props: { posts, tag },
+	}));
+}
+
+export async function GET({ props, site }) {
+	const { posts, tag } = props;
+	return rssResponse(
+		{
+			title: `${SITE_TITLE} · 标签：${tag}`,
+			description: `包含标签 "${tag}" 的所有文章`,
+			site,
+			homePath: `/tags/${tag}/`,
+			feedPath: `/tags/${tag}/index.xml`,
+			language: 'zh-CN',
+		},
+		await postFeedItems(posts, site),
+	);
+}
@@ -0,0 +1,262 @@
+/**
+ * remark 插件：把 Obsidian 的双链和嵌入转换成站内链接 / 图片
+ *
+ *   [[note]]                  → 指向 note 的链接，文字为目标的标题
+ *   [[note#标题|别名]]         → 链接到 note 的某个标题，文字为别名
+ *   [[#标题]]                  → 当前页面内的标题
+ *   ![[image.png]]            → 图片；![[image.png|300]] 指定宽度，![[image.png|说明]] 作为 alt（缺省为文件名）
+ *
+ * note 按文件名、相对路径（不含扩展名）或 frontmatter 的 slug 匹配（不区分大小写），
+ * 依次在 blog / page / gossips 三个集合里查找，生成与 src/pages 一致的路由：
+ *   blog    → /blog/<id>.html（en/ 下为 /en/blog/<id>.html）
+ *   page    → /<slug>（en/ 下为 /en/<slug>）
+ *   gossips → /gossips/<id>.html
+ * id 的规则与 src/content.config.ts 的 generateId 相同：slug，缺省时为带扩展名的相对路径。
+ *
+ * 图片依次在当前文件所在目录、src/content 和 public 下按路径或文件名查找；只写文件名而有多个同名文件时，
+ * 取离当前文件最近的一个（同目录及其子目录优先）并输出警告。src/content 里的图片用相对路径输出，交给 Astro 的图片处理。
+ *
+ * 笔记索引和图片列表只在第一次用到时扫描一次；dev 模式下可能新建了文件，找不到目标时重新扫描，
+ * 但每次处理一个文件最多重新扫描一次。
+ *
+ * 找不到的链接保留为纯文本并在构建时输出警告。
+ */
+import { existsSync, readFileSync, readdirSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { slug as slugify } from 'github-slugger';
+import yaml from 'js-yaml';
+import { visit } from 'unist-util-visit';
+
+const ROOT = fileURLToPath(new URL('../../', import.meta.url));
+const CONTENT_DIR = path.join(ROOT, 'src/content');
+const PUBLIC_DIR = path.join(ROOT, 'public');
+
+const WIKILINK_RE = /(!?)\[\[([^\[\]\n]+?)\]\]/g;
+const NOTE_EXTENSIONS = ['.md', '.mdx'];
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.webp', '.avif', '.svg', '.bmp'];
+
+const COLLECTIONS = [
+	{
+		name: 'blog',
+		route: (id) => (id.startsWith('en/') ? `/en/blog/${id.replace('en/', '')}.html` : `/blog/${id}.html`),
+	},
+	{
+		name: 'page',
+		// page 集合的 id 是文件路径，路由用 slug
+		route: (id, data) => (id.startsWith('en/') ? `/en/${data.slug}` : `/${data.slug}`),
+		id: (entry) => entry,
+	},
+	{
+		name: 'gossips',
+		route: (id) => `/gossips/${id}.html`,
+	},
+];
+
+function walk(dir, filter, base = dir, out = []) {
+	if (!existsSync(dir)) return out;
+	for (const entry of readdirSync(dir, { withFileTypes: true })) {
+		const full = path.join(dir, entry.name);
+		if (entry.isDirectory()) walk(full, filter, base, out);
+		else if (filter(entry.name)) out.push(path.relative(base, full).split(path.sep).join('/'));
+	}
+	return out;
+}
+
+function readFrontmatter(file) {
+	const match = readFileSync(file, 'utf8').match(/^---\r?\n([\s\S]*?)\r?\n---/);
+	if (!match) return {};
+	try {
+		return yaml.load(match[1]) || {};
+	} catch {
+		return {};
+	}
+}
+
+function stripExtension(file) {
+	return file.slice(0, file.length - path.extname(file).length);
+}
+
+function normalizeKey(value) {
+	return String(value).trim().toLowerCase();
+}
+
+/**
+ * 笔记索引：文件名 / 相对路径 / slug（小写）→ { route, title, draft }，先出现的集合优先
+ */
+function buildNoteIndex() {
+	const notes = new Map();
+	for (const collection of COLLECTIONS) {
+		const base = path.join(CONTENT_DIR, collection.name);
+		const files = walk(base, (name) => NOTE_EXTENSIONS.includes(path.extname(name)));
+		for (const entry of files) {
+			const data = readFrontmatter(path.join(base, entry));
+			const id = collection.id ? collection.id(entry) : String(data.slug || entry);
+			const note = { route: collection.route(id, data), title: data.title, draft: Boolean(data.draft) };
+			const keys = [path.posix.basename(stripExtension(entry)), stripExtension(entry), data.slug].filter(Boolean);
+			for (const key of keys) {
+				if (!notes.has(normalizeKey(key))) notes.set(normalizeKey(key), note);
+			}
+		}
+	}
+	return notes;
+}
+
+function isImage(target) {
+	return IMAGE_EXTENSIONS.includes(path.extname(target).toLowerCase());
+}
+
+function buildImageIndex() {
+	return { content: walk(CONTENT_DIR, isImage), public: walk(PUBLIC_DIR, isImage) };
+}
+
+/**
+ * 图片地址：当前目录 > src/content > public；返回 { url, candidates }，url 为 Markdown 里可用的地址，
+ * candidates 为按文件名匹配到的所有文件（多于一个时说明有歧义）；找不到时为 null
+ */
+function resolveImage(target, fromFile, images) {
+	const fromDir = path.dirname(fromFile);
+	const toPosix = (file) => file.split(path.sep).join('/');
+	const relative = (file) => {
+		const rel = toPosix(path.relative(fromDir, file));
+		return rel.startsWith('.') ? rel : `./${rel}`;
+	};
+
+	if (existsSync(path.join(fromDir, target))) return { url: relative(path.join(fromDir, target)), candidates: [] };
+
+	// 带目录的写法按路径结尾匹配（blog/a/b.png、a/b.png 都能匹配 blog/a/b.png），只写文件名时按文件名匹配
+	const suffix = `/${target.replace(/^\/+/, '')}`.toLowerCase();
+	const pick = (files) => files.filter((file) => `/${file}`.toLowerCase().endsWith(suffix));
+	// 离当前文件越近（相对路径的层级越少）越优先，同目录的子目录排在其它目录前面
+	const distance = (file) => {
+		const rel = path.relative(fromDir, path.join(CONTENT_DIR, file));
+		return [rel.startsWith('..') ? 1 : 0, rel.split(path.sep).length];
+	};
+
+	const inContent = pick(images.content).sort((a, b) => {
+		const [da, db] = [distance(a), distance(b)];
+		return da[0] - db[0] || da[1] - db[1] || a.localeCompare(b);
+	});
+	if (inContent.length) {
+		return { url: relative(path.join(CONTENT_DIR, inContent[0])), candidates: inContent.map((file) => toPosix(path.join('src/content', file))) };
+	}
+
+	const inPublic = pick(images.public);
+	if (inPublic.length) return { url: `/${inPublic[0]}`, candidates: inPublic.map((file) => `public/${file}`) };
+
+	return null;
+}
+
+/**
+ * 解析 [[...]] 里的内容：目标、标题锚点（#^块引用忽略）和 | 后的别名
+ */
+function parseWikilink(inner) {
+	const [targetPart, ...aliasParts] = inner.split('|');
+	const alias = aliasParts.join('|').trim();
+	const hashIndex = targetPart.indexOf('#');
+	const target = (hashIndex >= 0 ? targetPart.slice(0, hashIndex) : targetPart).trim();
+	const heading = hashIndex >= 0 ? targetPart.slice(hashIndex + 1).trim() : '';
+	return { target, heading: heading.startsWith('^') ? '' : heading, alias };
+}
+
+function displayPath(file) {
+	return file ? path.relative(ROOT, file).split(path.sep).join('/') : '(unknown file)';
+}
+
+export default function remarkWikilinks() {
+	let notes;
+	let images;
+
+	return (tree, file) => {
+		const source = file.path || file.history?.[0];
+		// 本次处理是否已经扫描过，避免每个找不到的链接都重新扫描一遍
+		let notesScanned = false;
+		let imagesScanned = false;
+
+		function findNote(target) {
+			const key = normalizeKey(stripExtension(target.replace(/^\/+/, '')));
+			if (!notes || (!notes.has(key) && !notesScanned)) {
+				notes = buildNoteIndex();
+				notesScanned = true;
+			}
+			return notes.get(key);
+		}
+
+		function findImage(target) {
+			if (!images) {
+				images = buildImageIndex();
+				imagesScanned = true;
+			}
+			let found = resolveImage(target, source, images);
+			if (!found && !imagesScanned) {
+				images = buildImageIndex();
+				imagesScanned = true;
+				found = resolveImage(target, source, images);
+			}
+			return found;
+		}
+
+		function warn(raw, reason) {
+			console.warn(`[wikilinks] ${displayPath(source)}: ${raw} ${reason}`);
+		}
+
+		function convert(embed, inner) {
+			const raw = `${embed ? '!' : ''}[[${inner}]]`;
+			const { target, heading, alias } = parseWikilink(inner);
+
+			if (embed && isImage(target)) {
+				const found = source ? findImage(target) : null;
+				if (!found) {
+					warn(raw, 'cannot be resolved to an image');
+					return { type: 'text', value: alias || target };
+				}
+				const { url, candidates } = found;
+				if (candidates.length > 1) {
+					warn(raw, `matches ${candidates.length} files (${candidates.join(', ')}), using ${candidates[0]}; write the path to pick another`);
+				}
+				const width = /^\d+(x\d+)?$/.test(alias) ? alias.split('x') : null;
+				return {
+					type: 'image',
+					url,
+					// 没写说明时用文件名作 alt
+					alt: (!width && alias) || path.posix.basename(stripExtension(target)),
+					...(width && { data: { hProperties: { width: width[0], ...(width[1] && { height: width[1] }) } } }),
+				};
+			}
+
+			const anchor = heading ? `#${slugify(heading)}` : '';
+			if (!target) {
+				return { type: 'link', url: anchor, children: [{ type: 'text', value: alias || heading }] };
+			}
+
+			const note = findNote(target);
+			if (!note) {
+				warn(raw, 'does not match any blog post, page or gossip');
+				return { type: 'text', value: alias || target };
+			}
+			if (embed) warn(raw, 'embeds a note; it is rendered as a link');
+			if (note.draft) warn(raw, 'links to a draft, which is not published in production builds');
+
+			const text = alias || [note.title || target, heading].filter(Boolean).join(' > ');
+			return { type: 'link', url: `${note.route}${anchor}`, children: [{ type: 'text', value: text }] };
+		}
+
+		visit(tree, 'text', (node, index, parent) => {
+			// 链接文字里的 [[...]] 不再嵌套成链接
+			if (!parent || index === undefined || parent.type === 'link' || parent.type === 'linkReference' || !node.value.includes('[[')) return;
+
+			const nodes = [];
+			let last = 0;
+			for (const match of node.value.matchAll(WIKILINK_RE)) {
+				if (match.index > last) nodes.push({ type: 'text', value: node.value.slice(last, match.index) });
+				nodes.push(convert(match[1] === '!', match[2]));
+				last = match.index + match[0].length;
+			}
+			if (!nodes.length) return;
+			if (last < node.value.length) nodes.push({ type: 'text', value: node.value.slice(last) });
+
+			parent.children.splice(index, 1, ...nodes);
+			return index + nodes.length;
+		});
+	};
+}
@@ -0,0 +1,278 @@
+import { statSync } from 'node:fs';
+import type { ImageMetadata } from 'astro';
+import { type CollectionEntry, render } from 'astro:content';
+import { experimental_AstroContainer as AstroContainer } from 'astro/container';
+import { loadRenderers } from 'astro:container';
+import { getContainerRenderer as getMDXRenderer } from '@astrojs/mdx';
+import rss from '@astrojs/rss';
+import { SITE_AUTHOR } from '../consts';
+import { type Gossip, gossipText, gossipTitle, gossipUrl, renderGossip } from './gossips';
+import { markdownToText } from './search';
+import { postUrl } from './taxonomy';
+
+/**
+ * 订阅源：文章 / 碎碎念先转换成统一的 FeedItem（渲染好的 HTML、绝对地址），
+ * 再由 rssResponse / atomResponse / jsonFeedResponse 输出成 RSS 2.0、Atom 1.0 和 JSON Feed 1.1
+ */
+
+export interface FeedEnclosure {
+	url: string;
+	type: string;
+	// 字节数；读不到文件时为 0
+	length: number;
+}
+
+export interface FeedItem {
+	// 绝对地址，同时用作条目 id
+	url: string;
+	title: string;
+	summary: string;
+	contentHtml: string;
+	published: Date;
+	updated?: Date;
+	categories: string[];
+	tags: string[];
+	image?: FeedEnclosure;
+}
+
+export interface FeedMeta {
+	title: string;
+	description: string;
+	site: URL;
+	// 站内路径，如 /、/shuoshuo
+	homePath: string;
+	// 本订阅源自身的路径，如 /atom.xml
+	feedPath: string;
+	language?: string;
+}
+
+// 没有 description 的文章，摘要取正文开头
+const SUMMARY_LENGTH = 200;
+
+const IMAGE_TYPES: Record<string, string> = {
+	jpg: 'image/jpeg',
+	jpeg: 'image/jpeg',
+	png: 'image/png',
+	gif: 'image/gif',
+	webp: 'image/webp',
+	avif: 'image/avif',
+	svg: 'image/svg+xml',
+};
+
+let container: AstroContainer | undefined;
+
+async function getContainer(): Promise<AstroContainer> {
+	container ??= await AstroContainer.create({ renderers: await loadRenderers([getMDXRenderer()]) });
+	return container;
+}
+
+function summarize(text: string): string {
+	return text.length > SUMMARY_LENGTH ? `${text.slice(0, SUMMARY_LENGTH)}…` : text;
+}
+
+function resolveUrl(value: string, base: string): string {
+	try {
+		return new URL(value, base).href;
+	} catch {
+		return value;
+	}
+}
+
+/**
+ * 把 HTML 里的相对地址（src / href / poster / srcset）按条目地址转成绝对地址，阅读器里图片和链接才能打开
+ */
+export function absolutizeHtml(html: string, base: string): string {
+	return html
+		.replace(/(\s(?:src|href|poster))=(["'])(.*?)\2/gi, (_, attr, quote, value) => `${attr}=${quote}${resolveUrl(value, base)}${quote}`)
+		.replace(/(\ssrcset)=(["'])(.*?)\2/gi, (_, attr, quote, value: string) => {
+			const candidates = value.split(',').map((candidate) => {
+				const [url, ...descriptor] = candidate.trim().split(/\s+/);
+				return [resolveUrl(url, base), ...descriptor].join(' ');
+			});
+			return `${attr}=${quote}${candidates.join(', ')}${quote}`;
+		});
+}
+
+function heroEnclosure(image: ImageMetadata, site: URL): FeedEnclosure {
+	// 构建时 ImageMetadata 上带有源文件路径（不可枚举属性），用来读文件大小
+	const fsPath = (image as ImageMetadata & { fsPath?: string }).fsPath;
+	let length = 0;
+	try {
+		if (fsPath) length = statSync(fsPath).size;
+	} catch {
+		// 读不到就按 0 处理，RSS 阅读器都能接受
+	}
+	return {
+		url: new URL(image.src, site).href,
+		type: IMAGE_TYPES[image.format] || `image/${image.format}`,
+		length,
+	};
+}
+
+async function postFeedItem(post: CollectionEntry<'blog'>, site: URL): Promise<FeedItem> {
+	const url = new URL(postUrl(post), site).href;
+	const { Content } = await render(post);
+	const html = await (await getContainer()).renderToString(Content);
+	return {
+		url,
+		title: post.data.title,
+		summary: post.data.description || summarize(markdownToText(post.body || '')),
+		contentHtml: absolutizeHtml(html, url),
+		published: post.data.pubDate,
+		updated: post.data.updatedDate,
+		categories: post.data.categories || [],
+		tags: post.data.tags || [],
+		image: post.data.heroImage && heroEnclosure(post.data.heroImage, site),
+	};
+}
+
+// 同一篇文章会出现在多个订阅源里，渲染结果按地址缓存
+const postItems = new Map<string, Promise<FeedItem>>();
+
+/**
+ * 文章 → FeedItem（按发布时间倒序）：正文用 Container API 渲染成 HTML，与文章页一致（包括 MDX 组件和代码高亮）
+ */
+export function postFeedItems(posts: CollectionEntry<'blog'>[], site: URL): Promise<FeedItem[]> {
+	const sorted = [...posts].sort((a, b) => b.data.pubDate.valueOf() - a.data.pubDate.valueOf());
+	return Promise.all(
+		sorted.map((post) => {
+			const key = new URL(postUrl(post), site).href;
+			if (!postItems.has(key)) postItems.set(key, postFeedItem(post, site));
+			return postItems.get(key)!;
+		}),
+	);
+}
+
+export function gossipFeedItems(gossips: Gossip[], site: URL): FeedItem[] {
+	return gossips.map((gossip) => {
+		const url = new URL(gossipUrl(gossip.id), site).href;
+		return {
+			url,
+			title: gossipTitle(gossip.body),
+			summary: gossipText(gossip.body),
+			contentHtml: absolutizeHtml(renderGossip(gossip.body), url),
+			published: gossip.data.pubDate,
+			categories: [],
+			tags: gossip.data.tag ? [gossip.data.tag] : [],
+		};
+	});
+}
+
+function escapeXml(value: string): string {
+	return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+function uniq(values: string[]): string[] {
+	return Array.from(new Set(values));
+}
+
+function absolute(meta: FeedMeta, path: string): string {
+	return new URL(path, meta.site).href;
+}
+
+function latest(items: FeedItem[]): Date {
+	const times = items.map((item) => (item.updated || item.published).valueOf());
+	return new Date(times.length ? Math.max(...times) : Date.now());
+}
+
+/**
+ * RSS 2.0：分类和标签都写成 <category>，更新时间用 atom:updated 扩展
+ */
+export function rssResponse(meta: FeedMeta, items: FeedItem[]): Promise<Response> {
+	return rss({
+		title: meta.title,
+		description: meta.description,
+		site: absolute(meta, meta.homePath),
+		xmlns: { atom: 'http://www.w3.org/2005/Atom' },
+		customData: [
+			meta.language ? `<language>${meta.language}</language>` : '',
+			`<atom:link href="${escapeXml(absolute(meta, meta.feedPath))}" rel="self" type="application/rss+xml"/>`,
+		].join(''),
+		items: items.map((item) => ({
+			title: item.title,
+			author: SITE_AUTHOR,
+			link: item.url,
+			pubDate: item.published,
+			description: item.summary,
+			content: item.contentHtml,
+			categories: uniq([...item.categories, ...item.tags]),
+			enclosure: item.image,
+			customData: item.updated ? `<atom:updated>${item.updated.toISOString()}</atom:updated>` : undefined,
+		})),
+	});
+}
+
+/**
+ * Atom 1.0：分类和标签用 scheme 区分（指向站内的分类 / 标签页），题图作为 rel="enclosure" 链接
+ */
+export function atomResponse(meta: FeedMeta, items: FeedItem[]): Response {
+	const entries = items.map((item) =>
+		[
+			'<entry>',
+			`<id>${escapeXml(item.url)}</id>`,
+			`<title>${escapeXml(item.title)}</title>`,
+			`<link rel="alternate" type="text/html" href="${escapeXml(item.url)}"/>`,
+			item.image ? `<link rel="enclosure" type="${escapeXml(item.image.type)}" length="${item.image.length}" href="${escapeXml(item.image.url)}"/>` : '',
+			`<published>${item.published.toISOString()}</published>`,
+			`<updated>${(item.updated || item.published).toISOString()}</updated>`,
+			`<author><name>${escapeXml(SITE_AUTHOR)}</name></author>`,
+			...item.categories.map((category) => `<category term="${escapeXml(category)}" scheme="${escapeXml(absolute(meta, '/categories/'))}"/>`),
+			...item.tags.map((tag) => `<category term="${escapeXml(tag)}" scheme="${escapeXml(absolute(meta, '/tags/'))}"/>`),
+			`<summary>${escapeXml(item.summary)}</summary>`,
+			`<content type="html">${escapeXml(item.contentHtml)}</content>`,
+			'</entry>',
+		].join(''),
+	);
+	const xml = [
+		'<?xml version="1.0" encoding="utf-8"?>',
+		`<feed xmlns="http://www.w3.org/2005/Atom"${meta.language ? ` xml:lang="${meta.language}"` : ''}>`,
+		`<id>${escapeXml(absolute(meta, meta.homePath))}</id>`,
+		`<title>${escapeXml(meta.title)}</title>`,
+		`<subtitle>${escapeXml(meta.description)}</subtitle>`,
+		`<link rel="alternate" type="text/html" href="${escapeXml(absolute(meta, meta.homePath))}"/>`,
+		`<link rel="self" type="application/atom+xml" href="${escapeXml(absolute(meta, meta.feedPath))}"/>`,
+		`<updated>${latest(items).toISOString()}</updated>`,
+		`<author><name>${escapeXml(SITE_AUTHOR)}</name></author>`,
+		...entries,
+		'</feed>',
+	].join('\n');
+	return new Response(xml, {
+		headers: { 'Content-Type': 'application/atom+xml; charset=utf-8' },
+	});
+}
+
+/**
+ * JSON Feed 1.1（https://www.jsonfeed.org/version/1.1/）：tags 合并分类和标签，
+ * 两者分开的原始值放在 _blog 扩展字段里；题图同时作为 image 和 attachments
+ */
+export function jsonFeedResponse(meta: FeedMeta, items: FeedItem[]): Response {
+	const feed = {
+		version: 'https://jsonfeed.org/version/1.1',
+		title: meta.title,
+		description: meta.description,
+		home_page_url: absolute(meta, meta.homePath),
+		feed_url: absolute(meta, meta.feedPath),
+		...(meta.language ? { language: meta.language } : {}),
+		authors: [{ name: SITE_AUTHOR }],
+		items: items.map((item) => ({
+			id: item.url,
+			url: item.url,
+			title: item.title,
+			summary: item.summary,
+			content_html: item.contentHtml,
+			date_published: item.published.toISOString(),
+			...(item.updated ? { date_modified: item.updated.toISOString() } : {}),
+			tags: uniq([...item.categories, ...item.tags]),
+			...(item.image
+				? {
+						image: item.image.url,
+						attachments: [{ url: item.image.url, mime_type: item.image.type, ...(item.image.length ? { size_in_bytes: item.image.length } : {}) }],
+					}
+				: {}),
+			_blog: { categories: item.categories, tags: item.tags },
+		})),
+	};
+	return new Response(JSON.stringify(feed), {
+		headers: { 'Content-Type': 'application/feed+json; charset=utf-8' },
+	});
+}
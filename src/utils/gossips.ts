@@ -0,0 +1,64 @@
+import { type CollectionEntry, getCollection } from 'astro:content';
+import { Marked } from 'marked';
+import { filterDrafts } from './drafts';
+import { markdownToText } from './search';
+
+export type Gossip = CollectionEntry<'gossips'>;
+
+// 列表页（/shuoshuo、/gossips、/gossips/tag/<tag>）每页条数
+export const GOSSIP_PAGE_SIZE = 10;
+
+// 碎碎念没有标题，取正文开头作为标题（搜索结果、单条页面、订阅源）
+const GOSSIP_TITLE_LENGTH = 30;
+
+const marked = new Marked({ breaks: true, gfm: true });
+
+/**
+ * 所有碎碎念（构建时排除草稿），按发布时间倒序
+ */
+export async function getGossips(): Promise<Gossip[]> {
+	return filterDrafts(await getCollection('gossips')).sort((a, b) => b.data.pubDate.valueOf() - a.data.pubDate.valueOf());
+}
+
+/**
+ * 单条碎碎念的固定链接，与文章一样以 .html 结尾
+ */
+export function gossipUrl(id: string): string {
+	return `/gossips/${id}.html`;
+}
+
+export function gossipTagUrl(tag: string): string {
+	return `/gossips/tag/${tag}/`;
+}
+
+/**
+ * 分页列表各页的地址：第 1 页为 base 本身，其余为 base + 页码
+ */
+export function gossipPageUrls(base: string, total: number): string[] {
+	const pageCount = Math.ceil(total / GOSSIP_PAGE_SIZE);
+	return Array.from({ length: pageCount }, (_, index) => (index === 0 ? base : `${base}${index + 1}/`));
+}
+
+export function renderGossip(body: string | undefined): string {
+	return marked.parse(body || '', { async: false });
+}
+
+export function gossipText(body: string | undefined): string {
+	return markdownToText(body || '');
+}
+
+export function gossipTitle(body: string | undefined): string {
+	const text = gossipText(body);
+	return text.length > GOSSIP_TITLE_LENGTH ? `${text.slice(0, GOSSIP_TITLE_LENGTH)}…` : text;
+}
+
+/**
+ * 出现过的标签及条数，按条数倒序
+ */
+export function gossipTags(gossips: Gossip[]): [string, number][] {
+	const counts = new Map<string, number>();
+	gossips.forEach((gossip) => {
+		if (gossip.data.tag) counts.set(gossip.data.tag, (counts.get(gossip.data.tag) || 0) + 1);
+	});
+	return Array.from(counts.entries()).sort((a, b) => b[1] - a[1]);
+}
@@ -0,0 +1,107 @@
+import type { CollectionEntry } from 'astro:content';
+import { markdownToText, tokenize } from './search';
+import { postUrl } from './taxonomy';
+
+type Post = CollectionEntry<'blog'>;
+
+export interface PostLink {
+	title: string;
+	url: string;
+	date: Date;
+}
+
+export interface PostNeighbours {
+	// 相关文章，按得分从高到低
+	related: PostLink[];
+	// 按发布时间：prev 为更早的一篇，next 为更新的一篇
+	prev?: PostLink;
+	next?: PostLink;
+}
+
+// 相关度 = 共同标签数 × TAG_WEIGHT + 共同分类数 × CATEGORY_WEIGHT + 正文 TF-IDF 余弦相似度 × TEXT_WEIGHT
+const TAG_WEIGHT = 1;
+const CATEGORY_WEIGHT = 1.5;
+const TEXT_WEIGHT = 3;
+const RELATED_LIMIT = 4;
+
+function toLink(post: Post): PostLink {
+	return { title: post.data.title, url: postUrl(post), date: post.data.pubDate };
+}
+
+/**
+ * 每篇文章的 TF-IDF 向量（已归一化）：词频取 log(1 + n)，只在一篇文章里出现的词对相似度没有贡献，直接丢掉
+ */
+function tfidfVectors(posts: Post[]): Map<string, number>[] {
+	const counts = posts.map((post) => {
+		const tf = new Map<string, number>();
+		tokenize(`${post.data.title} ${post.data.description || ''} ${markdownToText(post.body || '')}`).forEach((token) => {
+			tf.set(token, (tf.get(token) || 0) + 1);
+		});
+		return tf;
+	});
+
+	const df = new Map<string, number>();
+	counts.forEach((tf) => tf.forEach((_, token) => df.set(token, (df.get(token) || 0) + 1)));
+
+	return counts.map((tf) => {
+		const vector = new Map<string, number>();
+		let norm = 0;
+		tf.forEach((n, token) => {
+			const docs = df.get(token)!;
+			if (docs < 2) return;
+			const weight = Math.log(1 + n) * Math.log(posts.length / docs);
+			if (weight <= 0) return;
+			vector.set(token, weight);
+			norm += weight * weight;
+		});
+		norm = Math.sqrt(norm);
+		vector.forEach((weight, token) => vector.set(token, weight / norm));
+		return vector;
+	});
+}
+
+function cosine(a: Map<string, number>, b: Map<string, number>): number {
+	const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+	let sum = 0;
+	small.forEach((weight, token) => {
+		sum += weight * (large.get(token) || 0);
+	});
+	return sum;
+}
+
+function shared(a: string[] = [], b: string[] = []): number {
+	return a.filter((value) => b.includes(value)).length;
+}
+
+/**
+ * 一次性为整组文章（同一语言）计算相关文章和时间顺序上的上一篇 / 下一篇，按文章 id 索引
+ */
+export function postNeighbours(posts: Post[], { limit = RELATED_LIMIT } = {}): Map<string, PostNeighbours> {
+	const vectors = tfidfVectors(posts);
+	const byDate = posts.map((post, i) => ({ post, i })).sort((a, b) => a.post.data.pubDate.valueOf() - b.post.data.pubDate.valueOf());
+	const position = new Map(byDate.map(({ i }, rank) => [i, rank]));
+
+	const result = new Map<string, PostNeighbours>();
+	posts.forEach((post, i) => {
+		const related = posts
+			.map((other, j) => ({
+				other,
+				score:
+					i === j
+						? 0
+						: shared(post.data.tags, other.data.tags) * TAG_WEIGHT +
+							shared(post.data.categories, other.data.categories) * CATEGORY_WEIGHT +
+							cosine(vectors[i], vectors[j]) * TEXT_WEIGHT,
+			}))
+			.filter(({ score }) => score > 0)
+			.sort((a, b) => b.score - a.score || b.other.data.pubDate.valueOf() - a.other.data.pubDate.valueOf())
+			.slice(0, limit)
+			.map(({ other }) => toLink(other));
+
+		const rank = position.get(i)!;
+		const prev = byDate[rank - 1]?.post;
+		const next = byDate[rank + 1]?.post;
+		result.set(post.id, { related, prev: prev && toLink(prev), next: next && toLink(next) });
+	});
+	return result;
+}
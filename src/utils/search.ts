@@ -0,0 +1,353 @@
+/**
+ * 全文搜索：构建时生成倒排索引（/search-index.json），搜索弹窗按需加载后在浏览器里查询。
+ *
+ * 分词：拉丁字母 / 数字按词切分；中日韩文字没有空格，按相邻两字（bigram）切分，
+ * 查询时同样切成 bigram 并要求全部命中，效果接近短语匹配。单个汉字查询会展开成包含该字的所有 bigram。
+ *
+ * 查询语法（parseQuery）：
+ * - 普通关键词：全部命中才算结果；拉丁词拼错一两个字母（包括相邻字母互换）也能匹配（模糊匹配分数减半）
+ * - "带引号的短语"：必须原样出现在标题 / 描述 / 正文里
+ * - tag:rust、cat:生活（或 category:）、year:2025：按标签 / 分类 / 年份过滤，可以与关键词组合
+ * - 中文标题可以用全拼或首字母搜索（如 meiguo、mgx 搜到“美国行”），拼音在构建时生成
+ *
+ * 索引里的文档保存完整的纯文本正文：短语检查和摘要片段都要用到命中位置附近的原文，
+ * 只存开头一段的话，命中在后面的文章既没有摘要，也没法检查短语。
+ * 正文和倒排列表重复度很高，托管方按 gzip 传输时体积大约只有原始 JSON 的一半。
+ */
+
+export type SearchDocKind = 'post' | 'gossip' | 'page';
+
+export interface SearchDoc {
+	title: string;
+	url: string;
+	// YYYY-MM-DD；页面没有日期时为 null
+	date: string | null;
+	kind: SearchDocKind;
+	description: string;
+	tags: string[];
+	categories: string[];
+	// 纯文本正文（用于短语检查和生成摘要片段）
+	text: string;
+	draft?: boolean;
+	// 标题里汉字的拼音（无声调，空格分隔），没有汉字时省略
+	pinyin?: string;
+}
+
+export interface SearchIndex {
+	version: 1;
+	docs: SearchDoc[];
+	// term -> [文档序号, 加权词频, 文档序号, 加权词频, ...]
+	terms: Record<string, number[]>;
+}
+
+export interface SearchHit {
+	doc: SearchDoc;
+	score: number;
+}
+
+export interface ParsedQuery {
+	// 普通关键词（不含运算符和引号短语）
+	text: string;
+	phrases: string[];
+	tags: string[];
+	categories: string[];
+	years: string[];
+}
+
+// 各字段命中的权重：标题 > 标签 / 分类 > 描述 > 正文
+const FIELD_WEIGHTS = {
+	title: 10,
+	tags: 5,
+	categories: 5,
+	description: 3,
+	text: 1,
+} as const;
+
+// 前缀展开的最短长度，避免一个字母展开成整个词表
+const MIN_PREFIX_LENGTH = 2;
+// 模糊匹配：拉丁词至少 4 个字母才允许 1 处编辑，8 个字母以上允许 2 处；命中分数乘以 FUZZY_FACTOR
+const FUZZY_MIN_LENGTH = 4;
+const FUZZY_FACTOR = 0.5;
+// 拼音命中按标题命中计分
+const PINYIN_WEIGHT = FIELD_WEIGHTS.title;
+// 新近程度加权：一年前的内容加权减半，页面（没有日期）不加权
+const RECENCY_BOOST = 0.5;
+const RECENCY_HALF_LIFE_DAYS = 365;
+
+const OPERATORS: Record<string, 'tags' | 'categories' | 'years'> = {
+	tag: 'tags',
+	cat: 'categories',
+	category: 'categories',
+	year: 'years',
+};
+
+const CJK = '\\u3040-\\u30ff\\u3400-\\u4dbf\\u4e00-\\u9fff\\uf900-\\ufaff\\uac00-\\ud7af';
+const CJK_RE = new RegExp(`[${CJK}]`);
+const SEGMENT_RE = new RegExp(`[${CJK}]+|(?:(?![${CJK}])[\\p{L}\\p{N}])+`, 'gu');
+
+function normalize(text: string): string {
+	return text.normalize('NFKC').toLowerCase();
+}
+
+function isCjk(token: string): boolean {
+	return CJK_RE.test(token);
+}
+
+/**
+ * 切分成索引词：拉丁词整体保留，中日韩文字切成 bigram（只有一个字时保留单字）
+ */
+export function tokenize(text: string): string[] {
+	const out: string[] = [];
+	for (const [run] of normalize(text).matchAll(SEGMENT_RE)) {
+		if (!isCjk(run)) {
+			out.push(run);
+		} else if (run.length === 1) {
+			out.push(run);
+		} else {
+			for (let i = 0; i < run.length - 1; i++) out.push(run.slice(i, i + 2));
+		}
+	}
+	return out;
+}
+
+/**
+ * 解析查询：tag: / cat: / year: 运算符（值可以加引号）、"短语" 和普通关键词
+ */
+export function parseQuery(query: string): ParsedQuery {
+	const parsed: ParsedQuery = { text: '', phrases: [], tags: [], categories: [], years: [] };
+	const words: string[] = [];
+	for (const m of query.matchAll(/(\w+):"([^"]*)"?|(\w+):(\S+)|"([^"]*)"?|(\S+)/g)) {
+		const op = (m[1] ?? m[3])?.toLowerCase();
+		const value = (m[2] ?? m[4] ?? '').trim();
+		if (op && OPERATORS[op]) {
+			if (value) parsed[OPERATORS[op]].push(normalize(value));
+		} else if (m[5] !== undefined) {
+			const phrase = normalize(m[5].trim());
+			if (phrase) parsed.phrases.push(phrase);
+		} else {
+			words.push(m[0]);
+		}
+	}
+	parsed.text = words.join(' ');
+	return parsed;
+}
+
+/**
+ * Markdown / MDX 正文转纯文本：去掉 import/export、HTML/JSX 标签、图片和链接语法、强调符号等
+ */
+export function markdownToText(markdown: string): string {
+	return markdown
+		.replace(/^\s*(import|export)\s.*$/gm, '')
+		.replace(/<!--[\s\S]*?-->/g, '')
+		.replace(/^```.*$/gm, '')
+		.replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+		.replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+		.replace(/<\/?[A-Za-z][^>]*>/g, ' ')
+		.replace(/\{[^{}]*\}/g, ' ')
+		.replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+\.)\s+/gm, '')
+		.replace(/[*_~`|]+/g, '')
+		.replace(/\s+/g, ' ')
+		.trim();
+}
+
+/**
+ * 构建倒排索引；同一文档里各字段的命中按 FIELD_WEIGHTS 累加成加权词频
+ */
+export function buildSearchIndex(docs: SearchDoc[]): SearchIndex {
+	const postings = new Map<string, Map<number, number>>();
+	docs.forEach((doc, i) => {
+		const fields: [string, number][] = [
+			[doc.title, FIELD_WEIGHTS.title],
+			[doc.tags.join(' '), FIELD_WEIGHTS.tags],
+			[doc.categories.join(' '), FIELD_WEIGHTS.categories],
+			[doc.description, FIELD_WEIGHTS.description],
+			[doc.text, FIELD_WEIGHTS.text],
+		];
+		for (const [text, weight] of fields) {
+			for (const token of tokenize(text)) {
+				let byDoc = postings.get(token);
+				if (!byDoc) postings.set(token, (byDoc = new Map()));
+				byDoc.set(i, (byDoc.get(i) ?? 0) + weight);
+			}
+		}
+	});
+	const terms: Record<string, number[]> = {};
+	for (const token of [...postings.keys()].sort()) {
+		terms[token] = [...postings.get(token)!].flat();
+	}
+	return { version: 1, docs, terms };
+}
+
+/**
+ * a、b 的编辑距离（optimal string alignment：插入、删除、替换，以及相邻两字母互换算一次）是否不超过 max，
+ * 超过时提前返回 false。互换算一次编辑，golnag 才能匹配 golang
+ */
+function withinEditDistance(a: string, b: string, max: number): boolean {
+	if (Math.abs(a.length - b.length) > max) return false;
+	let before: number[] = [];
+	let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+	for (let i = 1; i <= a.length; i++) {
+		const cur = [i];
+		let rowMin = i;
+		for (let j = 1; j <= b.length; j++) {
+			cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+			if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) cur[j] = Math.min(cur[j], before[j - 2] + 1);
+			rowMin = Math.min(rowMin, cur[j]);
+		}
+		// 互换会回看上上一行，所以连续两行都超过 max 才能提前结束
+		if (rowMin > max && Math.min(...prev) > max) return false;
+		before = prev;
+		prev = cur;
+	}
+	return prev[b.length] <= max;
+}
+
+function postingMap(list: number[] | undefined, into = new Map<number, number>()): Map<number, number> {
+	if (!list) return into;
+	for (let i = 0; i < list.length; i += 2) into.set(list[i], Math.max(into.get(list[i]) ?? 0, list[i + 1]));
+	return into;
+}
+
+/**
+ * 一个查询词对应的倒排列表：精确命中，加上前缀展开（最后一个拉丁词，边输入边搜）或单字展开（单个汉字），
+ * 再并上拼写相近的词（按 FUZZY_FACTOR 降权）。即使已有精确或前缀命中也要并上：
+ * 拼错的词常常碰巧是另一个无关的词，只在没有命中时才模糊匹配的话，真正想找的文章就搜不到了
+ */
+function lookup(index: SearchIndex, token: string, isLast: boolean): Map<number, number> {
+	const map = postingMap(index.terms[token]);
+	const single = isCjk(token) && token.length === 1;
+	const prefix = isLast && !isCjk(token) && token.length >= MIN_PREFIX_LENGTH;
+	if (single || prefix) {
+		for (const term of Object.keys(index.terms)) {
+			if (term === token) continue;
+			if (single ? term.includes(token) : term.startsWith(token)) postingMap(index.terms[term], map);
+		}
+	}
+	if (!isCjk(token) && token.length >= FUZZY_MIN_LENGTH) {
+		const maxEdits = token.length >= 8 ? 2 : 1;
+		for (const term of Object.keys(index.terms)) {
+			if (term === token || isCjk(term) || !withinEditDistance(token, term, maxEdits)) continue;
+			const fuzzy = postingMap(index.terms[term]);
+			for (const [doc, tf] of fuzzy) map.set(doc, Math.max(map.get(doc) ?? 0, tf * FUZZY_FACTOR));
+		}
+	}
+	return map;
+}
+
+/**
+ * 拼音匹配：查询（去掉空格）是标题拼音从某个音节开始的连续全拼，或首字母串的一部分
+ */
+function matchesPinyin(doc: SearchDoc, query: string): boolean {
+	if (!doc.pinyin) return false;
+	const syllables = doc.pinyin.split(' ');
+	if (syllables.map((s) => s[0]).join('').includes(query)) return true;
+	return syllables.some((_, i) => syllables.slice(i).join('').startsWith(query));
+}
+
+function matchesFilters(doc: SearchDoc, q: ParsedQuery): boolean {
+	const has = (values: string[], wanted: string[]) => wanted.every((w) => values.some((v) => normalize(v) === w));
+	if (!has(doc.tags, q.tags) || !has(doc.categories, q.categories)) return false;
+	if (q.years.length > 0 && !q.years.some((y) => doc.date?.startsWith(y))) return false;
+	const haystack = normalize(`${doc.title}\n${doc.description}\n${doc.text}`);
+	return q.phrases.every((p) => haystack.includes(p));
+}
+
+function recencyFactor(doc: SearchDoc, now: number): number {
+	if (!doc.date) return 1;
+	const ageDays = Math.max(0, (now - Date.parse(doc.date)) / 86400000);
+	return 1 + RECENCY_BOOST * 0.5 ** (ageDays / RECENCY_HALF_LIFE_DAYS);
+}
+
+/**
+ * 查询：关键词和短语的所有词都要命中，并满足 tag / cat / year 过滤；
+ * 按 Σ 字段加权词频 × idf（加上拼音命中）再乘以新近程度加权排序
+ */
+export function searchIndex(index: SearchIndex, query: string, { limit = 50, now = Date.now() } = {}): SearchHit[] {
+	const q = parseQuery(query);
+	const tokens = [...new Set(tokenize([q.text, ...q.phrases].join(' ')))];
+	const hasFilters = q.tags.length + q.categories.length + q.years.length + q.phrases.length > 0;
+	if (tokens.length === 0 && !hasFilters) return [];
+
+	const total = index.docs.length;
+	let scores: Map<number, number> | null = null;
+	tokens.forEach((token, i) => {
+		const map = lookup(index, token, i === tokens.length - 1);
+		const idf = Math.log(1 + total / Math.max(1, map.size));
+		const next = new Map<number, number>();
+		for (const [doc, tf] of map) {
+			if (scores && !scores.has(doc)) continue;
+			next.set(doc, (scores?.get(doc) ?? 0) + tf * idf);
+		}
+		scores = next;
+	});
+	const matched: Map<number, number> = scores ?? new Map(index.docs.map((_, i) => [i, 1]));
+
+	// 纯拉丁字母的关键词再按拼音匹配中文标题
+	const compact = normalize(q.text).replace(/\s+/g, '');
+	if (/^[a-z]{2,}$/.test(compact)) {
+		const idf = Math.log(1 + total);
+		index.docs.forEach((doc, i) => {
+			if (matchesPinyin(doc, compact)) matched.set(i, (matched.get(i) ?? 0) + PINYIN_WEIGHT * idf);
+		});
+	}
+
+	return [...matched]
+		.filter(([i]) => matchesFilters(index.docs[i], q))
+		.map(([i, score]) => ({ doc: index.docs[i], score: score * recencyFactor(index.docs[i], now) }))
+		.sort((a, b) => b.score - a.score || (b.doc.date ?? '').localeCompare(a.doc.date ?? ''))
+		.slice(0, limit);
+}
+
+export function escapeHtml(text: string): string {
+	return text.replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+function escapeRegExp(text: string): string {
+	return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 需要高亮的词：引号短语、按空白切开的关键词，中日韩文字再补上 bigram（正文里不一定整段连续出现）
+ */
+function highlightTerms(query: string): string[] {
+	const q = parseQuery(query);
+	const words = normalize(q.text).split(/\s+/).filter(Boolean);
+	const grams = tokenize(q.text).filter(isCjk);
+	return [...new Set([...q.phrases, ...words, ...grams])].sort((a, b) => b.length - a.length);
+}
+
+function markTerms(text: string, terms: string[]): string {
+	if (terms.length === 0) return escapeHtml(text);
+	const re = new RegExp(terms.map(escapeRegExp).join('|'), 'gi');
+	let html = '';
+	let last = 0;
+	for (const m of text.matchAll(re)) {
+		html += `${escapeHtml(text.slice(last, m.index))}<mark>${escapeHtml(m[0])}</mark>`;
+		last = m.index! + m[0].length;
+	}
+	return html + escapeHtml(text.slice(last));
+}
+
+/**
+ * 转义并高亮查询词（标题、描述等短文本）
+ */
+export function highlight(text: string, query: string): string {
+	return markTerms(text, highlightTerms(query));
+}
+
+/**
+ * 正文摘要：取第一个命中位置前后各 radius 个字符，转义并高亮；没有命中时返回 null
+ */
+export function makeSnippet(text: string, query: string, radius = 40): string | null {
+	const terms = highlightTerms(query);
+	const lower = text.toLowerCase();
+	let at = -1;
+	for (const term of terms) {
+		const i = lower.indexOf(term);
+		if (i >= 0 && (at < 0 || i < at)) at = i;
+	}
+	if (at < 0) return null;
+	const start = Math.max(0, at - radius);
+	const end = Math.min(text.length, at + radius * 2);
+	return `${start > 0 ? '…' : ''}${markTerms(text.slice(start, end), terms)}${end < text.length ? '…' : ''}`;
+}
@@ -0,0 +1,81 @@
+import { getCollection } from 'astro:content';
+import { pinyin } from 'pinyin-pro';
+import { filterDrafts } from './drafts';
+import { getGossips, gossipText, gossipTitle, gossipUrl } from './gossips';
+import { type SearchDoc, markdownToText } from './search';
+import { postUrl } from './taxonomy';
+
+type Lang = 'zh' | 'en';
+
+function ymd(date: Date): string {
+	return date.toISOString().slice(0, 10);
+}
+
+function isEnglish(id: string): boolean {
+	return id.startsWith('en/');
+}
+
+/**
+ * 标题里汉字的拼音（无声调，空格分隔），供搜索时按全拼 / 首字母匹配
+ */
+function titlePinyin(title: string): string | undefined {
+	const hanzi = title.match(/\p{Script=Han}/gu);
+	if (!hanzi) return undefined;
+	return pinyin(hanzi.join(''), { toneType: 'none', type: 'array' }).join(' ');
+}
+
+/**
+ * 搜索索引的文档：文章、碎碎念（只有中文）和页面，按语言区分（en/ 前缀为英文）
+ */
+export async function getSearchDocs(lang: Lang): Promise<SearchDoc[]> {
+	const wantEnglish = lang === 'en';
+
+	const posts = filterDrafts(await getCollection('blog'))
+		.filter((post) => isEnglish(post.id) === wantEnglish)
+		.sort((a, b) => b.data.pubDate.valueOf() - a.data.pubDate.valueOf())
+		.map((post): SearchDoc => ({
+			title: post.data.title,
+			url: postUrl(post),
+			date: ymd(post.data.pubDate),
+			kind: 'post',
+			description: post.data.description || '',
+			tags: post.data.tags || [],
+			categories: post.data.categories || [],
+			text: markdownToText(post.body || ''),
+			draft: post.data.draft,
+		}));
+
+	const gossips = wantEnglish
+		? []
+		: (await getGossips()).map(
+				(gossip): SearchDoc => ({
+					title: gossipTitle(gossip.body),
+					url: gossipUrl(gossip.id),
+					date: ymd(gossip.data.pubDate),
+					kind: 'gossip',
+					description: '',
+					tags: gossip.data.tag ? [gossip.data.tag] : [],
+					categories: [],
+					text: gossipText(gossip.body),
+					draft: gossip.data.draft,
+				}),
+			);
+
+	const pages = (await getCollection('page'))
+		.filter((page) => isEnglish(page.id) === wantEnglish)
+		.map((page): SearchDoc => ({
+			title: page.data.title,
+			url: wantEnglish ? `/en/${page.data.slug}` : `/${page.data.slug}`,
+			date: null,
+			kind: 'page',
+			description: '',
+			tags: [],
+			categories: [],
+			text: markdownToText(page.body || ''),
+		}));
+
+	return [...posts, ...gossips, ...pages].map((doc) => {
+		const py = doc.kind === 'gossip' ? undefined : titlePinyin(doc.title);
+		return py ? { ...doc, pinyin: py } : doc;
+	});
+}
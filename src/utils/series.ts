@@ -0,0 +1,76 @@
+import type { CollectionEntry } from 'astro:content';
+import { isDraft } from './drafts';
+import { postUrl } from './taxonomy';
+
+type Post = CollectionEntry<'blog'>;
+
+export interface SeriesNav {
+	name: string;
+	// 系列索引页；英文文章没有系列页，为 null
+	url: string | null;
+	posts: { title: string; url: string }[];
+	// 当前文章在 posts 中的下标
+	index: number;
+}
+
+export function seriesUrl(name: string): string {
+	return `/series/${name}/`;
+}
+
+function compareInSeries(a: Post, b: Post): number {
+	const orderA = a.data.seriesOrder ?? Number.POSITIVE_INFINITY;
+	const orderB = b.data.seriesOrder ?? Number.POSITIVE_INFINITY;
+	if (orderA !== orderB) return orderA - orderB;
+	return a.data.pubDate.valueOf() - b.data.pubDate.valueOf();
+}
+
+function bySeries(posts: Post[]): Map<string, Post[]> {
+	const groups = new Map<string, Post[]>();
+	posts.forEach((post) => {
+		if (post.data.series) groups.set(post.data.series, [...(groups.get(post.data.series) || []), post]);
+	});
+	return groups;
+}
+
+function describe(post: Post): string {
+	return isDraft(post) ? `${post.id} (draft)` : post.id;
+}
+
+/**
+ * 按 series 字段聚合文章，组内按 seriesOrder（缺省时按发布时间）正序。
+ * 同一系列里 seriesOrder 重复时直接抛错，让构建失败。checked 为参与检查的文章，应包含草稿：
+ * 否则草稿和已发布文章撞号时构建照常通过，要等草稿发布那天才报错
+ */
+export function groupSeries(posts: Post[], checked: Post[] = posts): Map<string, Post[]> {
+	const problems: string[] = [];
+	bySeries(checked).forEach((list, name) => {
+		const byOrder = new Map<number, Post>();
+		list.forEach((post) => {
+			const order = post.data.seriesOrder;
+			if (order === undefined) return;
+			const other = byOrder.get(order);
+			if (other) problems.push(`"${name}": seriesOrder ${order} is used by both ${describe(other)} and ${describe(post)}`);
+			else byOrder.set(order, post);
+		});
+	});
+	if (problems.length) throw new Error(`series is invalid:\n${problems.map((p) => `  - ${p}`).join('\n')}`);
+
+	const groups = bySeries(posts);
+	groups.forEach((list) => list.sort(compareInSeries));
+	return groups;
+}
+
+/**
+ * 文章页的系列信息；post 不属于任何系列时返回 undefined。groups 为 groupSeries 的结果
+ */
+export function seriesNav(post: Post, groups: Map<string, Post[]>): SeriesNav | undefined {
+	const name = post.data.series;
+	const list = name && groups.get(name);
+	if (!name || !list) return undefined;
+	return {
+		name,
+		url: post.id.startsWith('en/') ? null : seriesUrl(name),
+		posts: list.map((item) => ({ title: item.data.title, url: postUrl(item) })),
+		index: list.findIndex((item) => item.id === post.id),
+	};
+}
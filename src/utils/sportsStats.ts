@@ -0,0 +1,156 @@
+import raw from '../data/sports-stats.json';
+import syncConfig from '../data/strava/config.json';
+import { todayKey } from '../../scripts/lib/dates.mjs';
+
+/**
+ * sports-stats.json 的类型（由 scripts/strava-sync.mjs 生成，版本见 scripts/lib/schemas.mjs）。
+ * 较新的字段（weekly / streaks / zones / gear ...）在旧数据里可能不存在，都标为可选。
+ */
+
+export type PaceFormat = 'pace' | 'pace100m' | 'pace500m' | 'speed' | 'none';
+
+export interface CategoryInfo {
+	key: string;
+	label: string;
+	// 距离单位；null 表示该分类不统计距离
+	unit: string | null;
+	paceFormat: PaceFormat;
+}
+
+export interface StatCardData {
+	label: string;
+	value: string;
+	unit: string;
+	subtext: string | null;
+	href?: string | null;
+}
+
+export interface YearStats {
+	distance: string;
+	time: string;
+	count: number;
+	paceText?: string | null;
+}
+
+export interface MonthStats {
+	month: string;
+	distanceKm: string;
+	movingTimeHours: string;
+	count: number;
+}
+
+export interface WeekStats {
+	week: string;
+	start: string;
+	distanceKm: number;
+	movingTimeHours: number;
+	count: number;
+}
+
+export interface StreakRange {
+	days: number;
+	start: string | null;
+	end: string | null;
+}
+
+export interface Streaks {
+	current: StreakRange;
+	longest: StreakRange;
+}
+
+export interface Eddington {
+	value: number;
+	next: number;
+	daysToNext: number;
+}
+
+export interface PersonalBest {
+	label: string;
+	distanceKm: number;
+	value: string;
+	unit: string;
+	subtext: string | null;
+	timeSec: number | null;
+	date: string | null;
+	activityId: number | string | null;
+	href: string | null;
+}
+
+export interface ZoneStats {
+	labels: string[];
+	// 各区间下界（bpm / W）
+	bounds: number[];
+	total: number[];
+	monthly: { month: string; seconds: number[]; streams: number; averages: number }[];
+}
+
+export interface EfficiencyMonth {
+	month: string;
+	metersPerBeat: number;
+	count: number;
+}
+
+export interface CategoryStats {
+	label: string;
+	unit: string | null;
+	paceFormat: PaceFormat;
+	years: Record<string, YearStats>;
+	cards: {
+		totalDistance?: StatCardData;
+		totalTime: StatCardData;
+		totalCount?: StatCardData;
+		farthest?: StatCardData;
+		halfMarathon?: StatCardData;
+		fullMarathon?: StatCardData;
+	};
+	monthly: MonthStats[];
+	weekly?: WeekStats[];
+	streaks?: Streaks;
+	activeDays?: Record<string, number>;
+	eddington?: Eddington;
+	zones?: { heartrate?: ZoneStats; power?: ZoneStats };
+	efficiency?: EfficiencyMonth[];
+	// 只有跑步有
+	pbs?: Record<string, PersonalBest>;
+}
+
+export interface GearStats {
+	id: string;
+	type: 'shoes' | 'bike';
+	name: string;
+	brand: string | null;
+	model: string | null;
+	distanceKm: number;
+	activityDistanceKm: number;
+	count: number;
+	firstUse: string | null;
+	lastUse: string | null;
+	primary: boolean;
+	retired: boolean;
+	retireKm: number | null;
+	remainingKm: number | null;
+	warning: 'near' | 'over' | null;
+}
+
+export interface SportsStats {
+	schemaVersion?: number;
+	generatedAt: string;
+	categories: CategoryInfo[];
+	overall?: { streaks: Streaks; activeDays: Record<string, number> };
+	gear?: GearStats[];
+}
+
+// JSON 导入的推断类型随数据变化，这里统一收窄成上面的接口
+export const sportsStats = raw as unknown as SportsStats;
+
+/**
+ * 运动员所在时区（config.json 的 timeZone）的当前年份；构建机器多在 UTC，跨年那几个小时按机器时区会算错年
+ */
+export const currentYear = Number(todayKey((syncConfig as { timeZone?: string | null }).timeZone).slice(0, 4));
+
+/**
+ * 某个分类的统计（key 见 sportsStats.categories）
+ */
+export function categoryStats(key: string): CategoryStats | undefined {
+	return (raw as unknown as Record<string, CategoryStats | undefined>)[key];
+}
@@ -0,0 +1,37 @@
+import { type CollectionEntry, getCollection } from 'astro:content';
+import { filterDrafts } from './drafts';
+
+type Post = CollectionEntry<'blog'>;
+
+/**
+ * 某种语言的文章（en/ 前缀为英文，其余为中文），构建时排除草稿（withDrafts 为 true 时保留），按发布时间倒序
+ */
+export async function getPosts(lang: 'zh' | 'en', { withDrafts = false } = {}): Promise<Post[]> {
+	const wantEnglish = lang === 'en';
+	const posts = await getCollection('blog');
+	return (withDrafts ? posts : filterDrafts(posts))
+		.filter((post) => post.id.startsWith('en/') === wantEnglish)
+		.sort((a, b) => b.data.pubDate.valueOf() - a.data.pubDate.valueOf());
+}
+
+/**
+ * 文章页地址：中文 /blog/<id>.html，英文 /en/blog/<id 去掉 en/>.html
+ */
+export function postUrl(post: Post): string {
+	return post.id.startsWith('en/') ? `/en/blog/${post.id.replace('en/', '')}.html` : `/blog/${post.id}.html`;
+}
+
+/**
+ * 按标签 / 分类聚合文章：标签页、分类页和它们的订阅源共用这份结果。
+ * 各组内保持传入顺序（getPosts 已按时间倒序）
+ */
+export function groupPosts(posts: Post[], field: 'tags' | 'categories'): Map<string, Post[]> {
+	const groups = new Map<string, Post[]>();
+	posts.forEach((post) => {
+		(post.data[field] || []).forEach((value) => {
+			const key = String(value);
+			groups.set(key, [...(groups.get(key) || []), post]);
+		});
+	});
+	return groups;
+}